@@ -0,0 +1,106 @@
+/**
+ * lib/amm.js — on-chain AMM pool model for EXECUTION=amm (Solana DEX swaps instead of CEX fills)
+ * ------------------------------------------------------------------------------------------------
+ * Every paper fill is priced as a swap against one pool of the grid's asset vs USD:
+ *   constant-product   x * y = k over all prices (Raydium AMM v4 style)
+ *   concentrated       the same curve, but only between lowerPrice and upperPrice (Orca Whirlpool /
+ *                      Raydium CLMM style): deeper for the same TVL, no fills outside the range
+ * In sqrt-price terms both are liquidity L on [lower, upper]: a buy of usd moves sqrtP up by usd / L,
+ * a sell of qty moves 1 / sqrtP up by qty / L, and the average fill price is sqrtP_before * sqrtP_after.
+ * The LP fee (fee tier, AMM_FEE_BPS) is charged like the CEX fees: USD on top of the notional.
+ *
+ * The pool is taken to sit at the reference price before each swap (arbitrage keeps it in line with
+ * the CEX feeds), so a fill costs its own price impact only. Pools come from
+ *   AMM_POOL_FILE   snapshot JSON:
+ *                     { type: "constant-product", baseReserve, quoteReserve, feeBps? }
+ *                     { type: "concentrated", lowerPrice, upperPrice, liquidity | (tvlUsd, price), feeBps? }
+ *                   liquidity (L) and the range stay fixed; the price moves with the market
+ *   derived         no file: AMM_POOL_TYPE with AMM_LIQUIDITY_USD of TVL at the current price, a
+ *                   concentrated range of +/- AMM_RANGE_PCT around it
+ */
+
+import fs from "fs";
+
+const round = (x, d = 2) => (Number.isFinite(x) ? Math.round(x * 10 ** d) / 10 ** d : x);
+
+export const POOL_TYPES = ["constant-product", "concentrated"];
+
+// L of a pool holding tvlUsd at price p on [lower, upper]: x * p + y with
+// x = L (1/sqrtP - 1/sqrtUpper), y = L (sqrtP - sqrtLower)
+function liquidityForTvl(tvlUsd, p, lower, upper) {
+  return tvlUsd / (2 * Math.sqrt(p) - p / Math.sqrt(upper) - Math.sqrt(lower));
+}
+
+/** Pool from a snapshot object (see header); throws naming source on anything it can't use. */
+export function poolFromSnapshot(raw, source, defaultFeeBps) {
+  const num = (k) => Number(raw?.[k]);
+  const feeBps = raw?.feeBps != null ? num("feeBps") : defaultFeeBps;
+  if (!(feeBps >= 0 && feeBps < 10_000)) throw new Error(`${source}: feeBps ${raw.feeBps} is not valid`);
+
+  if (raw?.type === "constant-product") {
+    const base = num("baseReserve");
+    const quote = num("quoteReserve");
+    if (!(base > 0 && quote > 0)) throw new Error(`${source}: baseReserve and quoteReserve must be positive`);
+    return { type: raw.type, source, feeBps, L: Math.sqrt(base * quote), lower: 0, upper: Infinity };
+  }
+  if (raw?.type === "concentrated") {
+    const lower = num("lowerPrice");
+    const upper = num("upperPrice");
+    if (!(lower > 0 && upper > lower)) throw new Error(`${source}: needs 0 < lowerPrice < upperPrice`);
+    let L = num("liquidity");
+    if (!(L > 0)) {
+      const p = num("price");
+      if (!(num("tvlUsd") > 0 && p > lower && p < upper)) {
+        throw new Error(`${source}: needs liquidity, or tvlUsd with a price inside the range`);
+      }
+      L = liquidityForTvl(num("tvlUsd"), p, lower, upper);
+    }
+    return { type: raw.type, source, feeBps, L, lower, upper };
+  }
+  throw new Error(`${source}: type must be one of ${POOL_TYPES.join(", ")}`);
+}
+
+export function readPoolFile(file, defaultFeeBps) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return poolFromSnapshot(raw, `file ${file}`, defaultFeeBps);
+}
+
+/** Pool for a grid's config (EXECUTION=amm): the snapshot file, else a derived pool. */
+export function ammPoolFor(cfg) {
+  if (cfg.AMM_POOL_FILE) return readPoolFile(cfg.AMM_POOL_FILE, cfg.AMM_FEE_BPS);
+  return { type: cfg.AMM_POOL_TYPE, source: "derived", feeBps: cfg.AMM_FEE_BPS, tvlUsd: cfg.AMM_LIQUIDITY_USD, rangePct: cfg.AMM_RANGE_PCT };
+}
+
+/** { L, lower, upper } of a pool at price p (derived pools are rebuilt around p). */
+export function poolAt(pool, p) {
+  if (pool.L != null) return pool;
+  const [lower, upper] = pool.type === "concentrated" ? [p / (1 + pool.rangePct), p * (1 + pool.rangePct)] : [0, Infinity];
+  return { L: liquidityForTvl(pool.tvlUsd, p, lower, upper), lower, upper };
+}
+
+/** USD value of the pool's reserves at price p (for display). */
+export function poolTvl(pool, p) {
+  const { L, lower, upper } = poolAt(pool, p);
+  if (p <= lower || p >= upper) return null;
+  return L * (2 * Math.sqrt(p) - p / Math.sqrt(upper) - Math.sqrt(lower));
+}
+
+/**
+ * Swap of about usd notional, side 'BUY' (USD in) | 'SELL' (asset in), with the pool at refPrice.
+ * Returns { price, impactPct, priceAfter } (price = average fill, before the LP fee) or { error }
+ * when the price is outside a concentrated range or the swap would run past its edge.
+ */
+export function swapQuote(pool, side, refPrice, usd) {
+  const { L, lower, upper } = poolAt(pool, refPrice);
+  if (!(refPrice > lower && refPrice < upper)) {
+    return { error: `price outside the pool range ${round(lower, 4)} - ${round(upper, 4)}` };
+  }
+  const s0 = Math.sqrt(refPrice);
+  const s1 = side === "BUY" ? s0 + usd / L : 1 / (1 / s0 + usd / refPrice / L);
+  const priceAfter = s1 * s1;
+  if (priceAfter >= upper || priceAfter <= lower) {
+    return { error: `swap would run past the pool range ${round(lower, 4)} - ${round(upper, 4)}` };
+  }
+  const price = s0 * s1;
+  return { price, impactPct: Math.abs(price / refPrice - 1), priceAfter };
+}
@@ -0,0 +1,384 @@
+/**
+ * lib/config.js — strategy config: defaults <- config file (JSON/YAML) <- env
+ * ------------------------------------------------------------------------------------------------
+ * File:
+ *   --config ./paper.config.yaml   (or CONFIG_FILE env)
+ *   else ./paper.config.json / .yaml / .yml if present, else defaults only
+ *
+ * Env overrides use the same key names, e.g. BUY_STEP_PCT=0.01 node runPaper.js
+ *
+ * Grids (optional): top-level keys are shared defaults, each GRIDS entry overrides them.
+ *   GRIDS:
+ *     - { id: sol }                                   # asset defaults to SOL
+ *     - { id: sol-wide, BUY_STEP_PCT: 0.015 }
+ *     - { id: jup, asset: JUP, ORDER_NOTIONAL_USD: 10 }
+ *     - { id: wif, asset: WIF, symbols: { BINANCE: WIFUSDT, CG: dogwifcoin, KRAKEN: WIFUSD, BIRDEYE: <mint> } }
+ *   Precedence: defaults <- file top-level <- env <- GRIDS entry.
+ *   No GRIDS key = one grid "sol" (SOL), state in STATE_FILE as before.
+ *
+ * Hot reload (watchConfig):
+ *   safe    -> applied on the next tick
+ *   rebuild -> applied, but the live ladder keeps its old rungs until it is rebuilt
+ *   restart -> ignored until the process restarts
+ */
+
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+// apply: how a changed value can be picked up by a running bot
+export const CONFIG_SCHEMA = {
+  BUY_PACKETS:        { type: "int",    default: 6,      min: 1, apply: "safe" },
+  SELL_PACKETS:       { type: "int",    default: 6,      min: 1, apply: "safe" },
+  LEVELS_EACH_SIDE:   { type: "int",    default: 10,     min: 1, max: 200, apply: "rebuild" },
+  BUY_STEP_PCT:       { type: "number", default: 0.008,  gt: 0, lt: 1, apply: "rebuild" },
+  SELL_STEP_PCT:      { type: "number", default: 0.006,  gt: 0, lt: 1, apply: "rebuild" },
+  // Rung spacing (lib/spacing.js): percent (linear) | arithmetic (USD) | geometric | volatility
+  LADDER_SPACING:     { type: "enum",   default: "percent", values: ["percent", "arithmetic", "geometric", "volatility"], apply: "rebuild" },
+  BUY_STEP_USD:       { type: "number", default: 0,      min: 0, apply: "rebuild" }, // arithmetic only
+  SELL_STEP_USD:      { type: "number", default: 0,      min: 0, apply: "rebuild" },
+  VOL_METHOD:         { type: "enum",   default: "atr",  values: ["atr", "stdev"], apply: "rebuild" },
+  VOL_BAR_MS:         { type: "int",    default: 900_000, min: 60_000, apply: "restart" },
+  VOL_LOOKBACK_BARS:  { type: "int",    default: 96,     min: 2, max: 2000, apply: "rebuild" },
+  VOL_BUY_MULT:       { type: "number", default: 2,      gt: 0, apply: "rebuild" },  // step = mult * vol per bar
+  VOL_SELL_MULT:      { type: "number", default: 1.5,    gt: 0, apply: "rebuild" },
+  VOL_MIN_STEP_PCT:   { type: "number", default: 0.003,  gt: 0, lt: 1, apply: "rebuild" },
+  VOL_MAX_STEP_PCT:   { type: "number", default: 0.05,   gt: 0, lt: 1, apply: "rebuild" },
+  ORDER_NOTIONAL_USD: { type: "number", default: 25,     gt: 0, apply: "safe" },
+  // Buy size per rung fill: fixed-usd (ORDER_NOTIONAL_USD) | fixed-qty (ORDER_QTY) | equity-pct (ORDER_EQUITY_PCT)
+  SIZING_MODE:        { type: "enum",   default: "fixed-usd", values: ["fixed-usd", "fixed-qty", "equity-pct"], apply: "safe" },
+  ORDER_QTY:          { type: "number", default: 0,      min: 0, apply: "safe" },
+  ORDER_EQUITY_PCT:   { type: "number", default: 0.025,  gt: 0, lt: 1, apply: "safe" },
+  SIZE_DEPTH_MULT:    { type: "number", default: 1,      gt: 0, apply: "safe" },  // rung i buys mult^(i-1) x size
+  MAX_POSITION_QTY:   { type: "number", default: 0,      min: 0, apply: "safe" },  // cap on asset held, 0 = off
+  SELL_FRACTION:      { type: "number", default: 1,      gt: 0, max: 1, apply: "safe" }, // share of a lot each sell closes
+  MICRO_SEED_USD:     { type: "number", default: 25,     min: 0, apply: "safe" },
+  START_USD:          { type: "number", default: 1000,   min: 0, apply: "restart" },
+  START_SOL:          { type: "number", default: 0,      min: 0, apply: "restart" },
+  // Fill slippage (lib/slippage.js): fixed = SIM_SLIPPAGE_PCT | parametric | book (depth walk, parametric fallback)
+  SLIPPAGE_MODEL:     { type: "enum",   default: "fixed", values: ["fixed", "parametric", "book"], apply: "safe" },
+  SIM_SLIPPAGE_PCT:   { type: "number", default: 0,      min: 0, lt: 1, apply: "safe" },
+  SLIPPAGE_FIXED_BPS: { type: "number", default: 2,      min: 0, apply: "safe" },
+  SLIPPAGE_IMPACT_BPS: { type: "number", default: 1,     min: 0, apply: "safe" }, // per $1000 of notional
+  ORDER_BOOK_SOURCE:  { type: "enum",   default: "auto", values: ["auto", "binance", "kraken", "file"], apply: "safe" },
+  ORDER_BOOK_FILE:    { type: "string", default: "",     optional: true, apply: "safe" }, // fixture for source file
+  ORDER_BOOK_DEPTH:   { type: "int",    default: 100,    min: 5, max: 1000, apply: "safe" },
+  ORDER_BOOK_REFRESH_MS: { type: "int", default: 60_000, min: 1000, apply: "safe" },
+  ORDER_BOOK_MAX_AGE_MS: { type: "int", default: 300_000, min: 0, apply: "safe" }, // older = parametric, 0 = any age
+  // Fills as swaps on a modeled Solana DEX pool (lib/amm.js): price impact + LP fee replace
+  // SLIPPAGE_MODEL and the maker/taker fees. Pool from AMM_POOL_FILE, else derived from the price.
+  EXECUTION:          { type: "enum",   default: "cex",  values: ["cex", "amm"], apply: "restart" },
+  AMM_POOL_FILE:      { type: "string", default: "",     optional: true, apply: "restart" }, // snapshot JSON
+  AMM_POOL_TYPE:      { type: "enum",   default: "constant-product", values: ["constant-product", "concentrated"], apply: "restart" },
+  AMM_FEE_BPS:        { type: "number", default: 25,     min: 0, lt: 10_000, apply: "restart" }, // fee tier (file may set its own)
+  AMM_LIQUIDITY_USD:  { type: "number", default: 5_000_000, gt: 0, apply: "restart" }, // derived pool TVL
+  AMM_RANGE_PCT:      { type: "number", default: 0.1,    gt: 0, apply: "restart" },   // derived concentrated range, +/-
+  MAKER_FEE_PCT:      { type: "number", default: 0.001,  min: 0, lt: 0.1, apply: "safe" },
+  TAKER_FEE_PCT:      { type: "number", default: 0.001,  min: 0, lt: 0.1, apply: "safe" },
+  MAKER_FEE_USD:      { type: "number", default: 0,      min: 0, apply: "safe" },
+  TAKER_FEE_USD:      { type: "number", default: 0,      min: 0, apply: "safe" },
+  // Where rung orders rest (lib/exchange.js): paper = instant full fills | mock = latency, partials, rejects
+  EXCHANGE:           { type: "enum",   default: "paper", values: ["paper", "mock"], apply: "restart" },
+  MOCK_LATENCY_MS:    { type: "int",    default: 0,      min: 0, apply: "restart" },   // submit -> order live
+  MOCK_FILL_RATIO:    { type: "number", default: 1,      gt: 0, max: 1, apply: "restart" }, // share of the rest per crossing price
+  MOCK_REJECT_PCT:    { type: "number", default: 0,      min: 0, lt: 1, apply: "restart" },
+  MOCK_MAX_OPEN_ORDERS: { type: "int",  default: 0,      min: 0, apply: "restart" },   // 0 = no limit
+  MOCK_SEED:          { type: "int",    default: 1,      apply: "restart" },
+  // Which open lot a SELL rung closes: paired = the rung's own lot, else oldest
+  LOT_MATCHING:       { type: "enum",   default: "paired", values: ["paired", "fifo", "lifo", "highest-cost"], apply: "safe" },
+  MIN_PROFIT_PCT:     { type: "number", default: 0,      min: 0, lt: 1, apply: "safe" }, // 0 = off
+  RECENTER_DRIFT_PCT: { type: "number", default: 0,      min: 0, lt: 1, apply: "safe" },
+  RECENTER_AFTER_MS:  { type: "int",    default: 0,      min: 0, apply: "safe" },
+  TICK_MS:            { type: "int",    default: 30_000, min: 1000, apply: "safe" },
+  // Price: "first" = first source that answers; "consensus" = median of agreeing sources
+  PRICE_MODE:         { type: "enum",   default: "first", values: ["first", "consensus"], apply: "safe" },
+  CONSENSUS_MAX_DEVIATION_PCT: { type: "number", default: 0.005, gt: 0, lt: 1, apply: "safe" },
+  CONSENSUS_QUORUM:   { type: "int",    default: 2,      min: 1, apply: "safe" },
+  PRICE_STALE_MS:     { type: "int",    default: 0,      min: 0, apply: "safe" }, // 0 = off
+  // Intra-interval fills: replay 1m klines since the last poll before each spot price
+  INTRABAR_FILLS:     { type: "enum",   default: "off",  values: ["off", "auto", "binance", "kraken"], apply: "safe" },
+  INTRABAR_ORDER:     { type: "enum",   default: "auto", values: ["auto", "low-first", "high-first"], apply: "safe" },
+  // Risk rules, 0 = off (see GridEngine RISK CONTROLS in lib/engine.js)
+  STOP_LOSS_PCT:      { type: "number", default: 0,      min: 0, lt: 1, apply: "safe" },
+  MAX_DRAWDOWN_PCT:   { type: "number", default: 0,      min: 0, lt: 1, apply: "safe" },
+  DAILY_LOSS_LIMIT_USD: { type: "number", default: 0,    min: 0, apply: "safe" },
+  TREND_BREAK_PCT:    { type: "number", default: 0,      min: 0, lt: 1, apply: "safe" },
+  // Equity curve: one sample per EQUITY_SAMPLE_MS, older half thinned past EQUITY_MAX_POINTS
+  EQUITY_SAMPLE_MS:   { type: "int",    default: 300_000, min: 1000, apply: "safe" },
+  EQUITY_MAX_POINTS:  { type: "int",    default: 2000,   min: 100, apply: "safe" },
+  // Dashboard price chart (/chart/:id): recent prices, at most CHART_MAX_POINTS over CHART_WINDOW_MS
+  CHART_WINDOW_MS:    { type: "int",    default: 21_600_000, min: 60_000, apply: "safe" },
+  CHART_MAX_POINTS:   { type: "int",    default: 720,    min: 50, max: 10_000, apply: "safe" },
+  // Webhook notifications (lib/notify.js): Discord / Slack / Telegram URLs, comma separated
+  NOTIFY_WEBHOOKS:    { type: "list",   default: [],     item: "url", secret: true, apply: "safe" },
+  NOTIFY_EVENTS:      { type: "list",   default: ["fill", "micro-seed", "guard-blocked", "ladder-full", "price-outage"],
+                        values: ["fill", "micro-seed", "guard-blocked", "ladder-full", "price-outage"], apply: "safe" },
+  NOTIFY_DIGEST_MS:   { type: "int",    default: 0,      min: 0, apply: "safe" }, // 0 = send each event right away
+  NOTIFY_RATE_PER_MIN: { type: "int",   default: 20,     min: 1, apply: "safe" },
+  NOTIFY_RETRIES:     { type: "int",    default: 3,      min: 0, max: 10, apply: "safe" },
+  NOTIFY_BACKOFF_MS:  { type: "int",    default: 1000,   min: 0, apply: "safe" },
+  NOTIFY_FETCH_FAILS: { type: "int",    default: 3,      min: 1, apply: "safe" }, // consecutive PRICE_FETCH_FAILED = outage
+  STATE_FILE:         { type: "string", default: "./paper_state_dark.json", apply: "restart" },
+  STATE_BACKUPS:      { type: "int",    default: 5,       min: 0, max: 50, apply: "restart" }, // STATE_FILE.bak.1..N, 0 = none
+  STATE_BACKUP_MS:    { type: "int",    default: 3600000, min: 0, apply: "restart" }, // at start, then at most this often
+  LEDGER_FILE:        { type: "string", default: "./paper_ledger.jsonl", apply: "restart" }, // append-only trade history
+};
+
+const DEFAULT_FILES = ["./paper.config.json", "./paper.config.yaml", "./paper.config.yml"];
+
+// Per-source symbol for each known asset. null = source doesn't list it.
+export const ASSET_SYMBOLS = {
+  SOL: {
+    BINANCE: "SOLUSDT",
+    CG: "solana",
+    KRAKEN: "SOLUSD",
+    BIRDEYE: "So11111111111111111111111111111111111111112",
+  },
+  JUP: {
+    BINANCE: "JUPUSDT",
+    CG: "jupiter-exchange-solana",
+    KRAKEN: "JUPUSD",
+    BIRDEYE: "JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN",
+  },
+  BONK: {
+    BINANCE: "BONKUSDT",
+    CG: "bonk",
+    KRAKEN: "BONKUSD",
+    BIRDEYE: "DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263",
+  },
+};
+
+const PRICE_SOURCES = ["BINANCE", "CG", "KRAKEN", "BIRDEYE"];
+const GRID_META_KEYS = ["id", "asset", "symbols"];
+
+function readConfigFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  let data;
+  try {
+    data = (ext === ".yaml" || ext === ".yml") ? YAML.parse(raw) : JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Config ${file}: parse error: ${e?.message || e}`);
+  }
+  if (data == null) return {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Config ${file}: top level must be an object of KEY: value`);
+  }
+  return data;
+}
+
+function coerce(raw, spec) {
+  if (spec.type === "string" || spec.type === "enum") return String(raw);
+  // list: YAML/JSON array or "a, b, c" (env)
+  if (spec.type === "list") {
+    return (Array.isArray(raw) ? raw : String(raw).split(",")).map((x) => String(x).trim()).filter(Boolean);
+  }
+  // env values are strings; allow "30_000" style like the source consts
+  const n = typeof raw === "string" ? Number(raw.replace(/_/g, "")) : raw;
+  return typeof n === "number" ? n : NaN;
+}
+
+function checkValue(key, v, spec) {
+  if (spec.type === "enum") {
+    return spec.values.includes(v) ? null : `must be one of ${spec.values.join(" | ")}`;
+  }
+  if (spec.type === "string") {
+    return v.trim() || spec.optional ? null : "must be a non-empty string";
+  }
+  if (spec.type === "list") {
+    const bad = spec.values ? v.filter((x) => !spec.values.includes(x)) : [];
+    if (bad.length) return `has unknown ${bad.join(", ")} (use ${spec.values.join(", ")})`;
+    if (spec.item === "url" && v.some((x) => !/^https?:\/\/[^/]/.test(x))) return "must be http(s) URLs";
+    return null;
+  }
+  if (!Number.isFinite(v)) return "must be a number";
+  if (spec.type === "int" && !Number.isInteger(v)) return "must be an integer";
+  if (spec.min != null && v < spec.min) return `must be >= ${spec.min}`;
+  if (spec.max != null && v > spec.max) return `must be <= ${spec.max}`;
+  if (spec.gt != null && !(v > spec.gt)) return `must be > ${spec.gt}`;
+  if (spec.lt != null && !(v < spec.lt)) return `must be < ${spec.lt}`;
+  return null;
+}
+
+function crossCheck(c) {
+  const errs = [];
+  if (c.SELL_PACKETS < c.BUY_PACKETS) {
+    errs.push(`SELL_PACKETS (${c.SELL_PACKETS}) must be >= BUY_PACKETS (${c.BUY_PACKETS}) so sells can cover every open lot`);
+  }
+  if (c.LADDER_SPACING === "percent" && c.BUY_STEP_PCT * c.LEVELS_EACH_SIDE >= 1) {
+    errs.push(`BUY_STEP_PCT * LEVELS_EACH_SIDE (${c.BUY_STEP_PCT} * ${c.LEVELS_EACH_SIDE}) must be < 1 or the deepest buy rung is <= 0`);
+  }
+  if (c.LADDER_SPACING === "arithmetic" && !(c.BUY_STEP_USD > 0 && c.SELL_STEP_USD > 0)) {
+    errs.push("LADDER_SPACING arithmetic needs BUY_STEP_USD and SELL_STEP_USD > 0");
+  }
+  if (c.SIZING_MODE === "fixed-qty" && !(c.ORDER_QTY > 0)) {
+    errs.push("SIZING_MODE fixed-qty needs ORDER_QTY > 0");
+  }
+  if (c.VOL_MIN_STEP_PCT > c.VOL_MAX_STEP_PCT) {
+    errs.push(`VOL_MIN_STEP_PCT (${c.VOL_MIN_STEP_PCT}) must be <= VOL_MAX_STEP_PCT (${c.VOL_MAX_STEP_PCT})`);
+  }
+  if (c.SLIPPAGE_MODEL === "book" && c.ORDER_BOOK_SOURCE === "file" && !c.ORDER_BOOK_FILE) {
+    errs.push("ORDER_BOOK_SOURCE file needs ORDER_BOOK_FILE");
+  }
+  if (c.MICRO_SEED_USD > c.START_USD) {
+    errs.push(`MICRO_SEED_USD (${c.MICRO_SEED_USD}) must be <= START_USD (${c.START_USD})`);
+  }
+  return errs;
+}
+
+function resolveValues(layers, errs, where) {
+  const values = {};
+  const sources = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    let raw = spec.default;
+    let src = "default";
+    for (const { name, data } of layers) {
+      if (data[key] !== undefined && data[key] !== "") {
+        raw = data[key];
+        src = name;
+      }
+    }
+
+    const v = src === "default" ? raw : coerce(raw, spec);
+    const err = checkValue(key, v, spec);
+    if (err) errs.push(`${where}${key} ${err} (got ${JSON.stringify(raw)} from ${src})`);
+    values[key] = v;
+    sources[key] = src;
+  }
+  if (!errs.length) errs.push(...crossCheck(values).map((e) => where + e));
+  return { values, sources };
+}
+
+function resolveSymbols(asset, override, errs, where) {
+  const base = ASSET_SYMBOLS[asset] || {};
+  const symbols = { ...base, ...(override || {}) };
+  for (const k of Object.keys(symbols)) {
+    if (!PRICE_SOURCES.includes(k)) errs.push(`${where}symbols.${k}: unknown price source (use ${PRICE_SOURCES.join(", ")})`);
+  }
+  if (!PRICE_SOURCES.some((k) => symbols[k])) {
+    errs.push(`${where}asset ${asset} has no symbol for any price source; add symbols: { BINANCE: ..., CG: ... }`);
+  }
+  return Object.fromEntries(PRICE_SOURCES.map((k) => [k, symbols[k] || null]));
+}
+
+/**
+ * Resolve a config. Throws one Error listing every problem found.
+ * Returns { grids: [{ id, asset, symbols, values, sources }], file }
+ * where sources = { KEY: 'default'|'file'|'env'|'grid' }.
+ */
+export function loadConfig({ file = null, env = process.env } = {}) {
+  const resolvedFile = file || env.CONFIG_FILE || DEFAULT_FILES.find((f) => fs.existsSync(f)) || null;
+  if ((file || env.CONFIG_FILE) && !fs.existsSync(resolvedFile)) {
+    throw new Error(`Config file not found: ${resolvedFile}`);
+  }
+  const { GRIDS, ...fromFile } = resolvedFile ? readConfigFile(resolvedFile) : {};
+  const errs = [];
+
+  for (const key of Object.keys(fromFile)) {
+    if (!CONFIG_SCHEMA[key]) errs.push(`${key}: unknown key (file ${resolvedFile})`);
+  }
+  if (GRIDS !== undefined && (!Array.isArray(GRIDS) || !GRIDS.length)) {
+    errs.push("GRIDS must be a non-empty list of grid entries");
+  }
+
+  const entries = Array.isArray(GRIDS) && GRIDS.length ? GRIDS : [{ id: "sol" }];
+  const grids = [];
+
+  entries.forEach((entry, i) => {
+    const where = GRIDS ? `GRIDS[${i}] ` : "";
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      errs.push(`${where}must be an object`);
+      return;
+    }
+    const id = String(entry.id ?? "").trim();
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(id)) {
+      errs.push(`${where}id must be letters, digits, - or _ (got ${JSON.stringify(entry.id)})`);
+    }
+    const asset = String(entry.asset ?? "SOL").toUpperCase();
+
+    const overrides = {};
+    for (const [k, v] of Object.entries(entry)) {
+      if (GRID_META_KEYS.includes(k)) continue;
+      if (!CONFIG_SCHEMA[k]) errs.push(`${where}${k}: unknown key`);
+      else overrides[k] = v;
+    }
+    // every grid but the first gets its own state + ledger file unless one is given
+    if (i > 0 && overrides.STATE_FILE === undefined) overrides.STATE_FILE = `./paper_state_${id}.json`;
+    if (i > 0 && overrides.LEDGER_FILE === undefined) overrides.LEDGER_FILE = `./paper_ledger_${id}.jsonl`;
+
+    const layers = [
+      { name: `file ${resolvedFile}`, data: fromFile },
+      { name: "env", data: env },
+      { name: "grid", data: overrides },
+    ];
+    const { values, sources } = resolveValues(layers, errs, where);
+    for (const k of Object.keys(sources)) {
+      if (sources[k].startsWith("file")) sources[k] = "file";
+    }
+
+    const symbols = resolveSymbols(asset, entry.symbols, errs, where);
+    const available = PRICE_SOURCES.filter((k) => symbols[k] && (k !== "BIRDEYE" || env.BIRDEYE_API_KEY));
+    if (values.PRICE_MODE === "consensus" && values.CONSENSUS_QUORUM > available.length) {
+      errs.push(`${where}CONSENSUS_QUORUM (${values.CONSENSUS_QUORUM}) is more than the ${available.length} price sources available for ${asset} (${available.join(", ")})`);
+    }
+
+    grids.push({ id, asset, symbols, values, sources });
+  });
+
+  const seen = new Map();
+  for (const g of grids) {
+    if (seen.has(`id:${g.id}`)) errs.push(`GRIDS: duplicate id ${g.id}`);
+    for (const key of ["STATE_FILE", "LEDGER_FILE"]) {
+      const f = `${key}:${g.values[key]}`;
+      if (seen.has(f)) errs.push(`GRIDS: ${g.id} and ${seen.get(f)} share ${key} ${g.values[key]}`);
+      seen.set(f, g.id);
+    }
+    seen.set(`id:${g.id}`, g.id);
+  }
+
+  if (errs.length) {
+    throw new Error(`Invalid config:\n  - ${errs.join("\n  - ")}`);
+  }
+
+  return { grids, file: resolvedFile };
+}
+
+/**
+ * Value safe to show on /status and in logs: secret keys (webhook URLs carry tokens)
+ * keep only scheme + host.
+ */
+export function displayValue(key, v) {
+  if (!CONFIG_SCHEMA[key]?.secret) return v;
+  const mask = (x) => String(x).replace(/^(https?:\/\/[^/]+).*$/, "$1/…");
+  return Array.isArray(v) ? v.map(mask) : mask(v);
+}
+
+/**
+ * Group changed keys by how they can be applied.
+ * Returns { safe: [...], rebuild: [...], restart: [...] } of { key, from, to }.
+ */
+export function diffConfig(prev, next) {
+  const out = { safe: [], rebuild: [], restart: [] };
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (JSON.stringify(prev[key]) !== JSON.stringify(next[key])) out[spec.apply].push({ key, from: prev[key], to: next[key] });
+  }
+  return out;
+}
+
+/**
+ * Poll the config file and call onChange(result) on every edit.
+ * result = { ok: true, config } | { ok: false, error }
+ */
+export function watchConfig(file, onChange, { env = process.env, intervalMs = 2000 } = {}) {
+  if (!file) return () => {};
+  const listener = (cur, prev) => {
+    if (cur.mtimeMs === prev.mtimeMs) return;
+    try {
+      onChange({ ok: true, config: loadConfig({ file, env }) });
+    } catch (e) {
+      onChange({ ok: false, error: e?.message || String(e) });
+    }
+  };
+  fs.watchFile(file, { interval: intervalMs }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
@@ -0,0 +1,1750 @@
+/**
+ * lib/engine.js — GridEngine: ladder, paper execution, guard, risk rules, stats (no I/O of its own)
+ * ------------------------------------------------------------------------------------------------
+ * Everything outside the engine comes in through the constructor: config, clock, state store,
+ * price provider, ledger and logger. runPaper.js wires the live versions (wall clock, STATE_FILE,
+ * HTTP price sources) and serves the UI; scripts and tests can drive an engine directly:
+ *
+ *   const g = new GridEngine({ ...loadConfig().grids[0], store: memoryStateStore(), ledger: new Ledger(null) });
+ *   g.onPrice(100, "TEST");          // or: await g.tick() with a `prices` provider
+ *   g.statusObj();
+ */
+
+import { diffConfig, displayValue } from "./config.js";
+import { livePriceFeed, barsToTicks } from "./prices.js";
+import { Ledger } from "./ledger.js";
+import { addSample, equityMetrics } from "./equity.js";
+import { Notifier } from "./notify.js";
+import { fileStateStore, migrateState, validateState, backupFiles, STATE_SCHEMA_VERSION } from "./state.js";
+import { addPriceBar, spacingFor, rungPrice, stepFrom } from "./spacing.js";
+import { exchangeFor } from "./exchange.js";
+import { slippageFor } from "./slippage.js";
+import { ammPoolFor, swapQuote, poolTvl } from "./amm.js";
+
+// INTRABAR_FILLS: never replay more than this much history (e.g. after downtime)
+const KLINE_MAX_LOOKBACK_MS = 60 * 60_000;
+
+// SELL_FRACTION < 1: a lot whose remainder would be worth less than this closes in full
+const MIN_REMAINDER_USD = 1;
+
+function round(n, dp = 2) {
+  if (!Number.isFinite(n)) return n;
+  const m = 10 ** dp;
+  return Math.round(n * m) / m;
+}
+function pct(x) {
+  return x != null ? (x * 100).toFixed(2) + "%" : "—";
+}
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// =====================
+// GRID ENGINE
+// =====================
+/**
+ * One independent grid: its own asset, config, state, ladder and account.
+ * Balances/qty keep the historical `sol` / `qtySol` names; they hold the grid's asset.
+ *
+ * opts: one grid entry of loadConfig() ({ id, asset, symbols, values, sources }) plus
+ *   clock        () => ms, default Date.now (the backtest passes its simulated clock)
+ *   store        state store (lib/state.js), default fileStateStore(STATE_FILE); null = never persisted
+ *   prices       price provider { price(engine), klines(engine, fromMs, toMs), book?(engine) }, default livePriceFeed
+ *   exchange     where rung orders rest (lib/exchange.js), default exchangeFor(config): EXCHANGE paper | mock
+ *   pool         AMM pool fills are priced against (lib/amm.js), default ammPoolFor(config) with
+ *                EXECUTION=amm, else null (CEX fills)
+ *   ledger       default new Ledger(LEDGER_FILE)
+ *   log          (...args) => void, default console.log
+ *   configFile, controlEnabled   shown on /status
+ */
+export class GridEngine {
+  constructor({ id, asset, symbols, values, sources, clock, store, prices, exchange, pool, ledger, log, configFile, controlEnabled }) {
+    this.id = id;
+    this.asset = asset;
+    this.symbols = symbols;
+
+    this.cfg = values;          // { KEY: value }
+    this.cfgSources = sources;  // { KEY: 'default'|'file'|'env'|'grid' }
+    this.pendingRebuild = [];   // keys changed by hot reload that the live ladder doesn't reflect yet
+    this.lastReload = null;
+
+    this.anchor = null;
+    this.anchorSetAt = 0;
+    this.nowPrice = null;
+    this.priceSource = "N/A";
+    this.lastTickAt = 0;
+    this.lastPriceError = "";
+    this.lastPriceChangeAt = 0;
+    this.priceStale = false;
+    this.sourceHealth = {};  // per price source: latency, ok/error counts, last value, deviation
+    this.intrabar = null;    // last kline replay (INTRABAR_FILLS): { at, source, candles, points, error? }
+    this.book = null;        // order book snapshot for SLIPPAGE_MODEL=book (lib/slippage.js), not persisted
+    this.bookFetchedAt = 0;
+    this.bookError = "";
+
+    this.openPositions = []; // [{ id, entryPrice, qtySol, costUsd, feeUsd, openedAt, microSeed?, rung?, targetPrice? }]
+    this.trades = [];        // last 10 trades [{ seq, ts, side, price, qtySol, notionalUsd, feeUsd, liquidity, pnlUsd?, note?, rung?, posId?, closedLots? }]
+    this.ledger = ledger ?? new Ledger(values.LEDGER_FILE, { log: (...args) => this.log(...args) }); // every trade, append-only
+
+    // Rungs: [{ id:'B1'|'S1', price, state:'WAIT'|'FILLED', fills, pairedPosId, rebuyPrice?, skip?, orderId? }]
+    //   BUY  rung: WAIT -> FILLED (holds lot pairedPosId, paired sell at lot.targetPrice) -> WAIT when lot closes
+    //   SELL rung: WAIT -> FILLED (paired rebuy armed at rebuyPrice) -> WAIT (paired with rebought lot)
+    this.ladderBuys = [];
+    this.ladderSells = [];
+    this.spacing = null; // spacing the current ladder was built with (lib/spacing.js)
+    this.volBars = [];   // VOL_BAR_MS OHLC bars of recent prices, for LADDER_SPACING volatility
+    this.sellSkips = []; // last 10 sells that triggered but found no lot to close [{ ts, rung, price, reason }]
+
+    // Working limit orders (see ORDERS): [{ id:'O1', side, kind:'RUNG'|'REBUY'|'TP'|'SELL', price, state, ... }]
+    this.orders = [];
+    this.orderEvents = []; // last 50 lifecycle events [{ ts, orderId, state, side, kind, price, rung?, qtySol?, reason? }]
+    this.nextOrderId = 1;
+
+    this.balances = { usd: values.START_USD, sol: values.START_SOL };
+
+    this.stats = {
+      trades: 0,
+      buys: 0,
+      sells: 0,
+      realizedPnlUsd: 0,
+      feesUsd: 0,
+      avgEntry: null,
+      recenters: 0,
+      lotsClosed: 0,
+      lotsWon: 0,
+      holdMsTotal: 0,
+      sellsSkipped: 0,
+      halts: 0,
+      ordersPlaced: 0,
+      ordersRejected: 0,
+      ordersCancelled: 0,
+      partialFills: 0,
+      slippageUsd: 0,
+    };
+
+    this.equity = [];    // sampled equity curve [{ ts, pv, price, usd, sol, open }] (lib/equity.js)
+    this.priceHistory = []; // recent [{ ts, price }] for the dashboard chart, not persisted (see chartObj)
+    this.hodlRef = null; // { price, at }: first anchor, entry of the HODL benchmark
+
+    this.nextId = 1;
+
+    this.pause = null; // { at, note } while an operator has paused fills (prices keep polling)
+    this.halt = null;  // { at, rule, reason, scope:'all'|'buys', until? } once a risk rule trips (see RISK CONTROLS)
+    this.risk = { peakPv: null, day: null, dayRealizedUsd: 0, dayBaseUsd: 0, trendArmed: true };
+
+    this.clock = clock ?? Date.now;
+    this.pinnedAt = null; // see atTime
+    this.store = store !== undefined
+      ? store
+      : fileStateStore(values.STATE_FILE, { backups: values.STATE_BACKUPS, backupMs: values.STATE_BACKUP_MS });
+    this.prices = prices ?? livePriceFeed;
+    this.exchange = exchange ?? exchangeFor(values);
+    this.pool = pool !== undefined ? pool : (values.EXECUTION === "amm" ? ammPoolFor(values) : null);
+    this.poolError = "";     // last swap the pool couldn't fill (range), cleared by the next one it can
+    this.logger = log ?? console.log;
+    this.configFile = configFile ?? null;
+    this.controlEnabled = !!controlEnabled;
+    this.timer = null;
+    this.ticking = false;   // a tick() is awaiting its fetches (see tick)
+
+    this.subscribers = new Set(); // live event listeners (see LIVE EVENTS)
+    this.lastLadderSig = "";
+
+    this.notifier = null; // webhook sender (see NOTIFICATIONS); live runs only, never in backtest
+    this.alerts = { guardBlocked: null, ladderFull: null, fetchFails: 0, outage: false };
+  }
+
+  now() {
+    return this.pinnedAt ?? this.clock();
+  }
+
+  // Run fn with the clock pinned to ts (intra-interval replay stamps fills with candle times)
+  atTime(ts, fn) {
+    const prev = this.pinnedAt;
+    this.pinnedAt = ts;
+    try {
+      return fn();
+    } finally {
+      this.pinnedAt = prev;
+    }
+  }
+
+  log(...args) {
+    this.logger(new Date(this.now()).toISOString(), `[${this.id}]`, ...args);
+  }
+
+  // =====================
+  // SAVE / LOAD
+  // =====================
+  /**
+   * Load the store's state (migrated + validated, lib/state.js). No state = fresh start; a state
+   * that can't be read or trusted throws, so the bot refuses to start rather than reset the account.
+   */
+  loadState() {
+    let s;
+    try {
+      s = this.store?.load();
+      if (!s) return;
+      s = validateState(migrateState(s), { gridId: this.id, asset: this.asset });
+    } catch (e) {
+      const file = this.store?.file;
+      const backups = file ? backupFiles(file) : [];
+      throw new Error(`[${this.id}] STATE_LOAD_FAILED ${file ?? "state"}: ${e?.message || e}` +
+        (file ? `\n  Fix it, restore a backup (${backups.length ? backups.join(", ") : "none found"}), or move it away to start fresh.` : ""));
+    }
+
+    this.anchor = s.anchor ?? this.anchor;
+    this.anchorSetAt = s.anchorSetAt ?? this.anchorSetAt;
+    this.nowPrice = s.nowPrice ?? this.nowPrice;
+    this.priceSource = s.priceSource ?? this.priceSource;
+    this.lastTickAt = s.lastTickAt ?? this.lastTickAt;
+    this.lastPriceError = s.lastPriceError ?? this.lastPriceError;
+
+    this.openPositions = s.openPositions ?? this.openPositions;
+    this.trades = s.trades ?? this.trades;
+    this.ladderBuys = s.ladderBuys ?? this.ladderBuys;
+    this.ladderSells = s.ladderSells ?? this.ladderSells;
+
+    this.balances = s.balances;
+    this.stats = { ...this.stats, ...s.stats };
+    this.nextId = s.nextId ?? this.nextId;
+    this.pause = s.pause ?? this.pause;
+    this.halt = s.halt ?? this.halt;
+    this.risk = { ...this.risk, ...s.risk };
+    this.sellSkips = s.sellSkips ?? this.sellSkips;
+    this.orders = s.orders ?? this.orders;
+    this.orderEvents = s.orderEvents ?? this.orderEvents;
+    this.nextOrderId = s.nextOrderId ?? this.nextOrderId;
+    this.spacing = s.spacing ?? this.spacing;
+    this.volBars = s.volBars ?? this.volBars;
+    this.equity = s.equity ?? this.equity;
+    this.hodlRef = s.hodlRef ?? this.hodlRef;
+
+    this.log("STATE_LOADED", `schema v${s.schemaVersion}`);
+  }
+
+  /** Returns true once the store has the state (false: no store, or the save failed and was logged). */
+  saveState() {
+    if (!this.store) return false;
+    try {
+      const s = {
+        schemaVersion: STATE_SCHEMA_VERSION,
+        gridId: this.id,
+        asset: this.asset,
+        anchor: this.anchor,
+        anchorSetAt: this.anchorSetAt,
+        nowPrice: this.nowPrice,
+        priceSource: this.priceSource,
+        lastTickAt: this.lastTickAt,
+        lastPriceError: this.lastPriceError,
+        openPositions: this.openPositions,
+        trades: this.trades,
+        ladderBuys: this.ladderBuys,
+        ladderSells: this.ladderSells,
+        balances: this.balances,
+        stats: this.stats,
+        nextId: this.nextId,
+        pause: this.pause,
+        halt: this.halt,
+        risk: this.risk,
+        sellSkips: this.sellSkips,
+        orders: this.orders,
+        orderEvents: this.orderEvents,
+        nextOrderId: this.nextOrderId,
+        spacing: this.spacing,
+        volBars: this.volBars,
+        hodlRef: this.hodlRef,
+        equity: this.equity,
+        savedAt: this.now(),
+      };
+      this.store.save(s);
+      return true;
+    } catch (e) {
+      this.log("STATE_SAVE_FAILED", e?.message || e);
+      return false;
+    }
+  }
+
+  // =====================
+  // LADDER BUILD (PCT + ASYMMETRIC)
+  // =====================
+  // Rungs per LADDER_SPACING; each rung records its step (USD + pct) from the previous rung / anchor.
+  // Arithmetic buy rungs at or below zero are dropped.
+  buildLadder(a) {
+    const spacing = spacingFor(this.cfg, this.volBars);
+    const buys = [];
+    const sells = [];
+
+    for (let i = 1; i <= this.cfg.LEVELS_EACH_SIDE; i++) {
+      buys.push({ id: `B${i}`, price: rungPrice(a, spacing, "buy", i), state: "WAIT", fills: 0, pairedPosId: null });
+      sells.push({ id: `S${i}`, price: rungPrice(a, spacing, "sell", i), state: "WAIT", fills: 0, pairedPosId: null });
+    }
+
+    // Closest to anchor first
+    buys.sort((x, y) => y.price - x.price);
+    sells.sort((x, y) => x.price - y.price);
+
+    for (const side of [buys, sells]) {
+      side.forEach((r, i) => {
+        const prev = i ? side[i - 1].price : a;
+        r.step = Math.abs(prev - r.price);
+        r.stepPct = r.step / prev;
+      });
+    }
+
+    const valid = buys.filter((r) => r.price > 0);
+    if (valid.length < buys.length) {
+      this.log("LADDER_TRUNCATED", `${buys.length - valid.length} buy rungs at or below 0 dropped (${spacing.label})`);
+    }
+    return { buys: valid, sells, spacing };
+  }
+
+  setLadder(a) {
+    this.cancelOrders((o) => o.kind !== "TP", "ladder rebuilt");
+    const { buys, sells, spacing } = this.buildLadder(a);
+    this.ladderBuys = buys;
+    this.ladderSells = sells;
+    this.spacing = spacing;
+    this.pendingRebuild = [];
+  }
+
+  // Spacing of the live ladder (state from before spacing modes: the linear percent steps)
+  ladderSpacing() {
+    return this.spacing ?? spacingFor({ ...this.cfg, LADDER_SPACING: "percent" });
+  }
+
+  ensureLadder() {
+    if (!this.anchor) return;
+    if (!this.ladderBuys.length || !this.ladderSells.length) this.setLadder(this.anchor);
+  }
+
+  driftPct() {
+    return (this.anchor && this.nowPrice) ? (Math.abs(this.nowPrice - this.anchor) / this.anchor) : null;
+  }
+
+  recenterEnabled() {
+    return this.cfg.RECENTER_DRIFT_PCT > 0 || this.cfg.RECENTER_AFTER_MS > 0;
+  }
+
+  /**
+   * ✅ Re-centering anchor:
+   * - triggers on drift >= RECENTER_DRIFT_PCT or this.anchor age >= RECENTER_AFTER_MS
+   * - moves this.anchor to this.nowPrice and rebuilds both sides (rung states reset)
+   * - open positions are kept; they close on their paired take-profit or the new sell rungs
+   */
+  maybeRecenter() {
+    if (!this.recenterEnabled()) return false;
+    // halted: keep the ladder the halt was measured against
+    if (this.halt) return false;
+    if (!Number.isFinite(this.nowPrice) || !Number.isFinite(this.anchor)) return false;
+
+    // state from before re-centering existed: start the clock now
+    if (!this.anchorSetAt) {
+      this.anchorSetAt = this.now();
+      return false;
+    }
+
+    const drift = this.driftPct();
+    const ageMs = this.now() - this.anchorSetAt;
+
+    let reason = null;
+    if (this.cfg.RECENTER_DRIFT_PCT > 0 && drift >= this.cfg.RECENTER_DRIFT_PCT) {
+      reason = `drift ${(drift * 100).toFixed(2)}%`;
+    } else if (this.cfg.RECENTER_AFTER_MS > 0 && ageMs >= this.cfg.RECENTER_AFTER_MS) {
+      reason = `age ${(ageMs / 3600_000).toFixed(1)}h`;
+    }
+    if (!reason) return false;
+
+    const oldAnchor = this.anchor;
+    this.anchor = this.nowPrice;
+    this.anchorSetAt = this.now();
+    this.setLadder(this.anchor);
+    this.stats.recenters = (this.stats.recenters || 0) + 1;
+
+    this.recordTrade({
+      ts: this.now(),
+      side: "ANCHOR",
+      price: this.anchor,
+      qtySol: 0,
+      note: `RECENTER ${reason} (was ${round(oldAnchor, 2)}, open=${this.openCount()})`,
+    });
+
+    this.log("RECENTER", reason, "anchor=", round(oldAnchor, 4), "->", round(this.anchor, 4), "spacing=", this.spacing.label);
+    return true;
+  }
+
+  // =====================
+  // PACKETS / GUARD
+  // =====================
+  openCount() {
+    return this.openPositions.length;
+  }
+  guardBlocksBuyNext() {
+    // blocks BUY when open+1 > sell packets
+    return (this.openCount() + 1) > this.cfg.SELL_PACKETS;
+  }
+
+  // =====================
+  // POSITION / PNL
+  // =====================
+  recomputeAvgEntry() {
+    if (!this.openPositions.length) {
+      this.stats.avgEntry = null;
+      return;
+    }
+    const totalQty = this.openPositions.reduce((s, p) => s + p.qtySol, 0);
+    const totalCost = this.openPositions.reduce((s, p) => s + p.costUsd, 0);
+    this.stats.avgEntry = totalQty > 0 ? (totalCost / totalQty) : null;
+  }
+
+  // Fee in USD for one fill. Rung fills rest on the book (MAKER); seed/market fills are TAKER.
+  // Swaps on an AMM pool (EXECUTION=amm) pay its LP fee tier either way.
+  feeFor(notionalUsd, liquidity) {
+    if (this.pool) return notionalUsd * this.pool.feeBps / 10_000;
+    return liquidity === "TAKER"
+      ? notionalUsd * this.cfg.TAKER_FEE_PCT + this.cfg.TAKER_FEE_USD
+      : notionalUsd * this.cfg.MAKER_FEE_PCT + this.cfg.MAKER_FEE_USD;
+  }
+
+  /**
+   * Sell price at which closing every open lot on a rung (MAKER, or the AMM fee tier) nets zero:
+   *   qty * P * (1 - makerPct) - lots * makerFlat = cost + entry fees paid
+   */
+  breakeven() {
+    if (!this.openPositions.length) return null;
+    const qty = this.openPositions.reduce((s, p) => s + p.qtySol, 0);
+    const paid = this.openPositions.reduce((s, p) => s + p.costUsd + (p.feeUsd || 0), 0);
+    const exitFlat = this.pool ? 0 : this.openPositions.length * this.cfg.MAKER_FEE_USD;
+    const net = qty * (1 - (this.pool ? this.pool.feeBps / 10_000 : this.cfg.MAKER_FEE_PCT));
+    return net > 0 ? (paid + exitFlat) / net : null;
+  }
+
+  // =====================
+  // PAPER EXECUTION
+  // =====================
+  recordTrade(t) {
+    const rec = this.ledger.append({ gridId: this.id, ...t });
+    this.trades.unshift(rec);
+    this.trades = this.trades.slice(0, 10);
+    if (this.subscribers.size) this.publish("fill", rec);
+    if ((rec.side === "BUY" || rec.side === "SELL") && rec.note !== "MICRO_SEED") this.notifyFill(rec);
+  }
+
+  /**
+   * Open one lot. Fee is paid in USD on top of the notional.
+   * opts: { costUsd = orderSize(), sizing, note, microSeed, rung, liquidity = 'MAKER', force, orderId, addTo, slippage }
+   * force (operator buys) skips the packet limit and guard; cash is still required.
+   * addTo: open lot that grows instead (further fills of a partially filled order; no packet / guard check,
+   * MAX_POSITION_QTY still applies).
+   * slippage: from slipped(), recorded on the trade and in stats.slippageUsd; a swap the AMM pool
+   * can't fill (slippage.error) buys nothing.
+   */
+  placeBuyAtPrice(fillPrice, opts = {}) {
+    const { note = null, microSeed = false, rung = null, orderId = null, addTo = null, slippage = null } = opts;
+    const liquidity = this.pool ? "AMM" : (opts.liquidity ?? "MAKER");
+    if (slippage?.error) return false;
+    const force = opts.force || !!addTo;
+    const size = opts.costUsd != null
+      ? { usd: opts.costUsd, label: opts.sizing ?? `$${round(opts.costUsd, 2)}` }
+      : this.orderSize(fillPrice, opts.depth);
+    let costUsd = size.usd;
+    let sizing = size.label;
+
+    if (!opts.force && this.cfg.MAX_POSITION_QTY > 0) {
+      const room = this.cfg.MAX_POSITION_QTY - this.balances.sol;
+      if (room * fillPrice < 1e-6) return false;
+      if (costUsd / fillPrice > room) {
+        costUsd = room * fillPrice;
+        sizing += `, capped by MAX_POSITION_QTY ${this.cfg.MAX_POSITION_QTY}`;
+      }
+    }
+
+    const qtySol = costUsd / fillPrice;
+    const feeUsd = this.feeFor(costUsd, liquidity);
+
+    if (!(costUsd > 0) || this.balances.usd < costUsd + feeUsd) return false;
+    if (!force && this.openCount() >= this.cfg.BUY_PACKETS) return false;
+    if (!force && this.guardBlocksBuyNext()) return false;
+
+    this.balances.usd -= costUsd + feeUsd;
+    this.balances.sol += qtySol;
+
+    let pos = addTo;
+    if (pos) {
+      pos.entryPrice = (pos.costUsd + costUsd) / (pos.qtySol + qtySol);
+      pos.qtySol += qtySol;
+      pos.costUsd += costUsd;
+      pos.feeUsd = (pos.feeUsd || 0) + feeUsd;
+    } else {
+      pos = {
+        id: this.nextId++,
+        entryPrice: fillPrice,
+        qtySol,
+        costUsd,
+        feeUsd,
+        openedAt: this.now(),
+        microSeed,
+        rung: rung || undefined,
+      };
+      this.openPositions.push(pos);
+    }
+
+    this.stats.trades++;
+    this.stats.buys++;
+    this.stats.feesUsd = (this.stats.feesUsd || 0) + feeUsd;
+    const slip = this.slippageRecord(slippage, fillPrice, qtySol);
+
+    this.recordTrade({
+      ts: this.now(),
+      side: "BUY",
+      price: fillPrice,
+      qtySol,
+      notionalUsd: costUsd,
+      feeUsd,
+      liquidity,
+      note: note || undefined,
+      rung: rung || undefined,
+      posId: pos.id,
+      orderId: orderId || undefined,
+      sizing,
+      ...slip,
+    });
+
+    this.recomputeAvgEntry();
+    return pos;
+  }
+
+  /**
+   * Buy size for a fill at fillPrice, per SIZING_MODE:
+   *   fixed-usd   ORDER_NOTIONAL_USD
+   *   fixed-qty   ORDER_QTY of the asset
+   *   equity-pct  ORDER_EQUITY_PCT of the current portfolio value
+   * times SIZE_DEPTH_MULT ** (depth - 1), depth 1 = the buy rung closest to the anchor.
+   * MAX_POSITION_QTY is applied by placeBuyAtPrice. Returns { usd, qty, label }.
+   */
+  orderSize(fillPrice, depth = 1) {
+    const c = this.cfg;
+    const weight = c.SIZE_DEPTH_MULT ** (depth - 1);
+    let usd;
+    let label;
+    if (c.SIZING_MODE === "fixed-qty") {
+      usd = c.ORDER_QTY * weight * fillPrice;
+      label = `fixed-qty ${c.ORDER_QTY}`;
+    } else if (c.SIZING_MODE === "equity-pct") {
+      usd = c.ORDER_EQUITY_PCT * weight * this.portfolioValueUsd();
+      label = `equity-pct ${pct(c.ORDER_EQUITY_PCT)}`;
+    } else {
+      usd = c.ORDER_NOTIONAL_USD * weight;
+      label = `fixed-usd $${c.ORDER_NOTIONAL_USD}`;
+    }
+    if (weight !== 1) label += ` x${round(weight, 3)} (depth ${depth})`;
+    return { usd, qty: usd / fillPrice, label };
+  }
+
+  // Next-fill size of each waiting buy rung (filled rungs keep the size they filled with)
+  planRungSizes() {
+    this.ladderBuys.forEach((r, i) => {
+      if (r.state !== "WAIT") return;
+      const { usd, qty } = this.orderSize(r.price, i + 1);
+      r.size = { usd, qty };
+    });
+  }
+
+  /**
+   * Pick the lot a sell at fillPrice closes, per LOT_MATCHING:
+   *   paired        opts.posId if still open, else oldest
+   *   fifo / lifo   oldest / newest
+   *   highest-cost  highest entryPrice first
+   * opts.exact only considers opts.posId (paired take-profits, operator sells).
+   * With MIN_PROFIT_PCT > 0 only lots with fillPrice >= entry * (1 + MIN_PROFIT_PCT) qualify
+   * (not for opts.force). Returns { pos } or { reason }.
+   */
+  pickLot(fillPrice, opts = {}) {
+    const { posId = null, exact = false, force = false } = opts;
+    const lots = this.openPositions;
+    if (!lots.length) return { reason: "no open lots" };
+
+    let order;
+    if (exact) order = lots.filter((p) => p.id === posId);
+    else if (this.cfg.LOT_MATCHING === "lifo") order = [...lots].reverse();
+    else if (this.cfg.LOT_MATCHING === "highest-cost") order = [...lots].sort((a, b) => b.entryPrice - a.entryPrice);
+    else if (this.cfg.LOT_MATCHING === "paired" && posId != null) {
+      order = [...lots.filter((p) => p.id === posId), ...lots.filter((p) => p.id !== posId)];
+    } else order = lots;
+    if (!order.length) return { reason: `lot #${posId} is not open` };
+
+    const minPct = force ? 0 : this.cfg.MIN_PROFIT_PCT;
+    const pos = order.find((p) => !(minPct > 0) || fillPrice >= p.entryPrice * (1 + minPct));
+    if (!pos) {
+      const low = order.reduce((a, b) => (b.entryPrice < a.entryPrice ? b : a));
+      return {
+        reason: `below min profit ${(minPct * 100).toFixed(2)}%: ` +
+          `lowest entry #${low.id} @ ${round(low.entryPrice, 4)} needs ${round(low.entryPrice * (1 + minPct), 4)}`,
+      };
+    }
+    return { pos };
+  }
+
+  // Quantity of pos one sell at fillPrice closes: SELL_FRACTION of it, or all of it (force, or a
+  // remainder under MIN_REMAINDER_USD)
+  sellQty(pos, fillPrice, force = false) {
+    const fraction = force ? 1 : this.cfg.SELL_FRACTION;
+    return fraction >= 1 || pos.qtySol * (1 - fraction) * fillPrice < MIN_REMAINDER_USD ? pos.qtySol : pos.qtySol * fraction;
+  }
+
+  /**
+   * Sell a lot chosen by pickLot: sellQty of it, or opts.qty (partial order fills; a remainder
+   * under MIN_REMAINDER_USD goes too). PnL is net of the sold share of the lot's entry fee and
+   * this exit fee. Any buy rung paired with a fully closed lot re-arms.
+   * opts: { posId, exact, force, qty, rung, note, liquidity = 'MAKER', orderId, slippage }
+   * Returns { ok: true, trade, closed } or { ok: false, reason }.
+   */
+  placeSellAtPrice(fillPrice, opts = {}) {
+    const { rung = null, note = null, orderId = null, slippage = null } = opts;
+    const liquidity = this.pool ? "AMM" : (opts.liquidity ?? "MAKER");
+    if (slippage?.error) return { ok: false, reason: slippage.error };
+    const picked = this.pickLot(fillPrice, opts);
+    if (!picked.pos) return { ok: false, reason: picked.reason };
+
+    const pos = picked.pos;
+    const want = opts.qty != null ? Math.min(opts.qty, pos.qtySol) : this.sellQty(pos, fillPrice, opts.force);
+    const closed = want >= pos.qtySol || (pos.qtySol - want) * fillPrice < MIN_REMAINDER_USD;
+    const qtySol = closed ? pos.qtySol : want;
+    const share = qtySol / pos.qtySol;
+    const costUsd = closed ? pos.costUsd : pos.costUsd * share;
+    const entryFeeUsd = closed ? (pos.feeUsd || 0) : (pos.feeUsd || 0) * share;
+
+    // lots are sums of float divisions: allow rounding dust, never go negative
+    if (this.balances.sol < qtySol - 1e-9) return { ok: false, reason: "balance below lot size" };
+    if (closed) {
+      this.openPositions.splice(this.openPositions.indexOf(pos), 1);
+    } else {
+      pos.qtySol -= qtySol;
+      pos.costUsd -= costUsd;
+      pos.feeUsd = (pos.feeUsd || 0) - entryFeeUsd;
+      pos.partialSells = (pos.partialSells || 0) + 1;
+    }
+
+    const proceedsUsd = qtySol * fillPrice;
+    const feeUsd = this.feeFor(proceedsUsd, liquidity);
+    this.balances.sol = Math.max(0, this.balances.sol - qtySol);
+    this.balances.usd += proceedsUsd - feeUsd;
+
+    const pnl = proceedsUsd - feeUsd - costUsd - entryFeeUsd;
+    this.stats.realizedPnlUsd += pnl;
+    if (closed) {
+      this.stats.lotsClosed = (this.stats.lotsClosed || 0) + 1;
+      if (pnl > 0) this.stats.lotsWon = (this.stats.lotsWon || 0) + 1;
+      this.stats.holdMsTotal = (this.stats.holdMsTotal || 0) + (this.now() - pos.openedAt);
+    }
+    this.addRealizedToday(pnl);
+
+    this.stats.trades++;
+    this.stats.sells++;
+    this.stats.feesUsd = (this.stats.feesUsd || 0) + feeUsd;
+    const slip = this.slippageRecord(slippage, fillPrice, qtySol);
+
+    this.recordTrade({
+      ts: this.now(),
+      side: "SELL",
+      price: fillPrice,
+      qtySol,
+      notionalUsd: proceedsUsd,
+      pnlUsd: pnl,
+      feeUsd,
+      liquidity,
+      note: note || (pos.microSeed ? "CLOSE_MICRO_SEED" : undefined),
+      rung: rung || undefined,
+      posId: pos.id,
+      orderId: orderId || undefined,
+      sizing: closed ? (pos.partialSells ? "rest of lot" : "whole lot") : `${pct(share)} of lot`,
+      closedLots: [{
+        posId: pos.id,
+        qtySol,
+        entryPrice: pos.entryPrice,
+        costUsd,
+        entryFeeUsd,
+        openedAt: pos.openedAt,
+        rung: pos.rung,
+        pnlUsd: pnl,
+        ...(closed ? {} : { partial: true, remainingQty: pos.qtySol }),
+      }],
+      ...slip,
+    });
+
+    if (closed) this.rearmBuyRungsFor(pos.id);
+    this.recomputeAvgEntry();
+    return { ok: true, trade: this.trades[0], closed };
+  }
+
+  // Realized PnL per UTC day, for DAILY_LOSS_LIMIT_USD
+  addRealizedToday(pnl) {
+    const day = utcDay(this.now());
+    if (this.risk.day !== day) {
+      this.risk.day = day;
+      this.risk.dayRealizedUsd = 0;
+      this.risk.dayBaseUsd = 0;
+    }
+    this.risk.dayRealizedUsd += pnl;
+  }
+
+  /**
+   * A sell that triggered but closed nothing. Kept on the rung / lot (holder.skip) while
+   * the reason holds; a new reason also goes to sellSkips (last 10) and the log.
+   */
+  noteSellSkip(holder, label, price, reason) {
+    if (holder.skip?.reason === reason) {
+      holder.skip.count++;
+      return;
+    }
+    holder.skip = { reason, since: this.now(), count: 1 };
+    this.sellSkips.unshift({ ts: this.now(), rung: label, price, reason });
+    this.sellSkips = this.sellSkips.slice(0, 10);
+    this.stats.sellsSkipped = (this.stats.sellsSkipped || 0) + 1;
+    this.log("SELL_SKIPPED", label, `@${round(price, 4)}`, reason);
+  }
+
+  rearmBuyRungsFor(posId) {
+    for (const r of this.ladderBuys) {
+      if (r.state === "FILLED" && r.pairedPosId === posId) {
+        r.state = "WAIT";
+        r.pairedPosId = null;
+      }
+    }
+  }
+
+  /**
+   * ✅ One-time paper micro-seed:
+   * - only if SOL is zero AND no open positions
+   * - uses current price (this.nowPrice)
+   * - consumes 1 buy packet (intentional: it creates real inventory)
+   */
+  runMicroSeedOnce() {
+    if (this.cfg.MICRO_SEED_USD <= 0) return;
+    if (this.buysHalted()) return;
+    if (!Number.isFinite(this.nowPrice) || !Number.isFinite(this.anchor)) return;
+
+    // Only seed if we're totally flat (no SOL, no positions).
+    // This makes it run once and never again unless you wipe state.
+    if (this.balances.sol > 0) return;
+    if (this.openPositions.length > 0) return;
+
+    const { price: fillPrice, slippage } = this.slipped("BUY", this.nowPrice, this.cfg.MICRO_SEED_USD);
+    const ok = this.placeBuyAtPrice(fillPrice, {
+      costUsd: this.cfg.MICRO_SEED_USD,
+      note: "MICRO_SEED",
+      microSeed: true,
+      liquidity: "TAKER",
+      slippage,
+    });
+
+    if (ok) {
+      const msg = `MICRO_SEED executed: bought ${(this.cfg.MICRO_SEED_USD / fillPrice).toFixed(6)} ${this.asset} @ ${fillPrice.toFixed(2)}`;
+      this.log(msg);
+      this.notify("micro-seed", msg);
+    } else {
+      this.log("MICRO_SEED skipped (guard/cash/packets)");
+    }
+  }
+
+  // =====================
+  // SLIPPAGE (lib/slippage.js, lib/amm.js)
+  // =====================
+  /**
+   * Fill price for a side 'BUY'|'SELL' fill of about usd at refPrice: { price, slippage }.
+   * Per SLIPPAGE_MODEL, or with an AMM pool its price impact (slippage.error when it can't fill).
+   */
+  slipped(side, refPrice, usd) {
+    if (this.pool) {
+      const q = swapQuote(this.pool, side, refPrice, usd);
+      if (q.error && q.error !== this.poolError) this.log("AMM_NO_LIQUIDITY", `${side} at ${round(refPrice, 4)}: ${q.error}`);
+      this.poolError = q.error || "";
+      return {
+        price: q.price ?? refPrice,
+        slippage: { model: `amm ${this.pool.type}`, pct: q.impactPct ?? 0, refPrice, poolPrice: q.priceAfter, error: q.error },
+      };
+    }
+    const s = slippageFor(this.cfg, this.book, side, refPrice, usd, this.now());
+    return { price: side === "BUY" ? refPrice * (1 + s.pct) : refPrice * (1 - s.pct), slippage: { ...s, refPrice } };
+  }
+
+  // Trade fields for a fill of qtySol at fillPrice; adds to stats.slippageUsd
+  slippageRecord(slippage, fillPrice, qtySol) {
+    if (!slippage) return {};
+    const usd = Math.abs(fillPrice - slippage.refPrice) * qtySol;
+    this.stats.slippageUsd = (this.stats.slippageUsd || 0) + usd;
+    return {
+      slippageUsd: usd,
+      slippagePct: slippage.pct,
+      slippageModel: slippage.model + (slippage.fallback ? ` (${slippage.fallback})` : ""),
+      ...(slippage.poolPrice != null ? { poolPrice: slippage.poolPrice } : {}),
+    };
+  }
+
+  // Pool shown on /status: type, fee tier, depth at the current price
+  poolSummary() {
+    const p = this.pool;
+    const at = Number.isFinite(this.nowPrice) ? this.nowPrice : null;
+    return {
+      type: p.type,
+      source: p.source,
+      feeBps: p.feeBps,
+      tvlUsd: at != null ? poolTvl(p, at) : p.tvlUsd ?? null,
+      range: p.type === "concentrated" && p.L != null ? [p.lower, p.upper] : null,
+      rangePct: p.rangePct ?? null,
+      error: this.poolError,
+    };
+  }
+
+  setBook(book) {
+    this.book = book;
+    this.bookError = "";
+  }
+
+  // SLIPPAGE_MODEL=book: new snapshot from the price provider every ORDER_BOOK_REFRESH_MS. Never throws.
+  async refreshBook() {
+    if (this.cfg.SLIPPAGE_MODEL !== "book" || !this.prices.book) return;
+    if (this.bookFetchedAt && this.now() - this.bookFetchedAt < this.cfg.ORDER_BOOK_REFRESH_MS) return;
+    this.bookFetchedAt = this.now();
+    try {
+      this.setBook(await this.prices.book(this));
+    } catch (e) {
+      this.bookError = (e?.message || String(e)).slice(0, 180);
+      this.log("ORDER_BOOK_FAILED", this.bookError);
+    }
+  }
+
+  // =====================
+  // ORDERS (lib/exchange.js)
+  // =====================
+  // Each armed trigger holds one working limit order (holder.orderId):
+  //   buy rung in WAIT -> RUNG (BUY at rung.price)     sell rung in WAIT   -> SELL (at rung.price)
+  //   sell rung FILLED -> REBUY (BUY at rebuyPrice)    lot with targetPrice -> TP (SELL at targetPrice)
+  // Orders are submitted the first time the fill pass sees their trigger and cancelled once nothing
+  // holds them. A buy order's size is fixed at its first fill (SIZING_MODE at the fill price); a
+  // sell order's lot and quantity likewise. Partial fills grow / shrink that one lot.
+  orderEvent(o, state, extra = {}) {
+    o.state = state;
+    o.updatedAt = this.now();
+    const ev = { ts: this.now(), orderId: o.id, state, side: o.side, kind: o.kind, price: o.price, rung: o.rung ?? undefined, ...extra };
+    this.orderEvents.unshift(ev);
+    this.orderEvents = this.orderEvents.slice(0, 50);
+    if (this.subscribers.size) this.publish("order", ev);
+  }
+
+  // New order for spec { side, kind, price, rung?, posId? }; null when the exchange rejects it.
+  submitOrder(spec) {
+    const o = {
+      id: `O${this.nextOrderId++}`, ...spec, state: "NEW", createdAt: this.now(),
+      filledQty: 0, filledUsd: 0, fills: 0,
+    };
+    const ack = this.exchange.submit(o, { now: this.now(), working: this.orders.length });
+    if (!ack.ok) {
+      this.stats.ordersRejected = (this.stats.ordersRejected || 0) + 1;
+      this.orderEvent(o, "REJECTED", { reason: ack.reason });
+      this.log("ORDER_REJECTED", o.id, o.kind, o.rung ?? "", `${o.side} @${round(o.price, 4)}`, ack.reason);
+      return null;
+    }
+    o.liveAt = ack.liveAt;
+    this.orders.push(o);
+    this.stats.ordersPlaced = (this.stats.ordersPlaced || 0) + 1;
+    this.orderEvent(o, "NEW");
+    return o;
+  }
+
+  // holder's working order for spec (replaced if the price moved); null while rejected or not yet live.
+  // A rejected order is submitted again on a later price.
+  restingOrder(holder, spec) {
+    let o = holder.orderId ? this.orders.find((x) => x.id === holder.orderId) : null;
+    if (o && (o.price !== spec.price || o.side !== spec.side)) {
+      this.cancelOrders((x) => x === o, "price changed");
+      o = null;
+    }
+    if (!o) {
+      if (holder.orderRejectedAt === this.now()) return null;
+      o = this.submitOrder(spec);
+      holder.orderId = o?.id ?? null;
+      if (!o) {
+        holder.orderRejectedAt = this.now();
+        return null;
+      }
+      delete holder.orderRejectedAt;
+    }
+    return this.now() >= o.liveAt ? o : null;
+  }
+
+  // The order is done: drop it from the working list
+  closeOrder(o, state, extra) {
+    this.orders.splice(this.orders.indexOf(o), 1);
+    this.orderEvent(o, state, extra);
+  }
+
+  // A cancelled buy that already part-filled counts as its rung's fill: the lot gets its pairing
+  // (take-profit / sell rung) instead of holding a packet with nothing to sell it.
+  cancelOrders(pred, reason) {
+    const gone = this.orders.filter(pred);
+    for (const o of gone) {
+      this.exchange.cancel(o, this.now());
+      this.closeOrder(o, "CANCELLED", { reason, ...(o.filledQty > 0 ? { qtySol: o.filledQty } : {}) });
+      if (o.side === "BUY" && o.filledQty > 0) this.finishBuyOrder(o);
+    }
+    this.stats.ordersCancelled = (this.stats.ordersCancelled || 0) + gone.length;
+    if (gone.length) this.log("ORDERS_CANCELLED", gone.length, reason);
+  }
+
+  // Cancel working orders no armed trigger holds any more (rung filled elsewhere, lot closed, buys halted)
+  sweepOrders() {
+    const held = new Set();
+    const hold = (holder) => holder.orderId && held.add(holder.orderId);
+    if (!this.buysHalted()) {
+      this.ladderBuys.filter((r) => r.state === "WAIT").forEach(hold);
+      this.ladderSells.filter((r) => r.state === "FILLED" && r.rebuyPrice != null).forEach(hold);
+    }
+    this.ladderSells.filter((r) => r.state === "WAIT").forEach(hold);
+    this.openPositions.filter((p) => p.targetPrice != null).forEach(hold);
+    this.cancelOrders((o) => !held.has(o.id), this.buysHalted() ? "buys halted" : "no longer armed");
+  }
+
+  orderFilled(o, qtySol, usd) {
+    o.filledQty += qtySol;
+    o.filledUsd += usd;
+    o.fills++;
+  }
+
+  /**
+   * Fill share (0..1] of what's left of buy order o at its reference price (limit) plus slippage.
+   * Returns the lot, or null when cash / packets / guard refuse it (the order keeps resting).
+   * o.state is FILLED once complete, or once MAX_POSITION_QTY leaves no room for the rest.
+   */
+  fillBuyOrder(o, refPrice, share, opts = {}) {
+    const left = (o.targetUsd ?? this.orderSize(refPrice, opts.depth).usd) - o.filledUsd;
+    const { price: fillPrice, slippage } = this.slipped("BUY", refPrice, share >= 1 ? left : left * share);
+    const size = o.targetUsd != null ? { usd: o.targetUsd, label: o.sizing } : this.orderSize(fillPrice, opts.depth);
+    const rest = size.usd - o.filledUsd;
+    const usd = share >= 1 || rest * (1 - share) < MIN_REMAINDER_USD ? rest : rest * share;
+    const addTo = o.posId != null ? this.openPositions.find((p) => p.id === o.posId) ?? null : null;
+    const before = addTo ? { usd: addTo.costUsd, qty: addTo.qtySol } : { usd: 0, qty: 0 };
+
+    const pos = this.placeBuyAtPrice(fillPrice, {
+      costUsd: usd, sizing: size.label, rung: o.rung, note: opts.note, orderId: o.id, addTo, slippage,
+    });
+    if (!pos && addTo && this.cfg.MAX_POSITION_QTY > 0 && (this.cfg.MAX_POSITION_QTY - this.balances.sol) * fillPrice < 1e-6) {
+      // MAX_POSITION_QTY left no room for the rest: the lot stays as it is, the order is done
+      this.exchange.cancel(o, this.now());
+      this.closeOrder(o, "FILLED", { qtySol: o.filledQty, fillPrice, reason: `capped by MAX_POSITION_QTY ${this.cfg.MAX_POSITION_QTY}` });
+      return addTo;
+    }
+    if (!pos) return null;
+    o.targetUsd = size.usd;
+    o.sizing = size.label;
+    o.posId = pos.id;
+    const filled = pos.costUsd - before.usd;
+    this.orderFilled(o, pos.qtySol - before.qty, filled);
+
+    // complete, or trimmed by MAX_POSITION_QTY: nothing more to buy
+    if (filled < usd - 1e-9 || o.filledUsd >= o.targetUsd - 1e-9) this.closeOrder(o, "FILLED", { qtySol: o.filledQty, fillPrice });
+    else {
+      this.stats.partialFills = (this.stats.partialFills || 0) + 1;
+      this.orderEvent(o, "PARTIALLY_FILLED", { qtySol: o.filledQty, fillPrice });
+    }
+    return pos;
+  }
+
+  // Buy order o is done (FILLED, or CANCELLED after a partial fill): move its rung on
+  finishBuyOrder(o) {
+    const pos = this.openPositions.find((p) => p.id === o.posId);
+    const rung = (o.kind === "RUNG" ? this.ladderBuys : this.ladderSells).find((r) => r.orderId === o.id);
+    if (!pos || !rung) return;
+    rung.orderId = null;
+    if (o.kind === "RUNG") {
+      rung.size = { usd: o.filledUsd, qty: o.filledQty };
+      pos.targetPrice = stepFrom(rung.price, this.ladderSpacing(), "sell");
+      rung.state = "FILLED";
+      rung.fills = (rung.fills || 0) + 1;
+      rung.pairedPosId = pos.id;
+    } else {
+      rung.state = "WAIT";
+      rung.pairedPosId = pos.id;
+      delete rung.rebuyPrice;
+    }
+  }
+
+  /**
+   * Fill share (0..1] of what's left of sell order o at its reference price (limit) less slippage.
+   * The first fill picks the lot (o.pairedPosId, exact for take-profits) and the quantity (sellQty).
+   * Returns placeSellAtPrice's result + fillPrice; o.state is FILLED once complete (or CANCELLED
+   * if its lot closed some other way).
+   */
+  fillSellOrder(o, refPrice, share) {
+    const pick = (price) => this.pickLot(price, { posId: o.pairedPosId ?? o.posId, exact: o.kind === "TP" });
+    const est = pick(refPrice).pos;
+    const left = o.targetQty != null ? o.targetQty - o.filledQty : (est ? this.sellQty(est, refPrice) : 0);
+    const { price: fillPrice, slippage } = this.slipped("SELL", refPrice, (share >= 1 ? left : left * share) * refPrice);
+    const fail = (reason) => ({ ok: false, reason, fillPrice });
+
+    let lot = { posId: o.posId, qty: o.targetQty };
+    if (o.targetQty == null) {
+      const picked = pick(fillPrice);
+      if (!picked.pos) return fail(picked.reason);
+      lot = { posId: picked.pos.id, qty: this.sellQty(picked.pos, fillPrice) };
+    } else if (!this.openPositions.some((p) => p.id === o.posId)) {
+      this.closeOrder(o, "CANCELLED", { reason: `lot #${o.posId} closed`, qtySol: o.filledQty });
+      return fail(`lot #${o.posId} closed`);
+    }
+    const rest = lot.qty - o.filledQty;
+    const qty = share >= 1 || rest * (1 - share) * fillPrice < MIN_REMAINDER_USD ? rest : rest * share;
+
+    const r = this.placeSellAtPrice(fillPrice, {
+      posId: lot.posId, exact: true, qty, rung: o.rung, note: o.kind === "TP" ? "PAIRED_TP" : null, orderId: o.id, slippage,
+    });
+    if (!r.ok) return fail(r.reason);
+    o.posId = lot.posId;
+    o.targetQty = lot.qty;
+    this.orderFilled(o, r.trade.qtySol, r.trade.notionalUsd);
+    if (r.closed || o.filledQty >= o.targetQty - 1e-12) this.closeOrder(o, "FILLED", { qtySol: o.filledQty, fillPrice });
+    else {
+      this.stats.partialFills = (this.stats.partialFills || 0) + 1;
+      this.orderEvent(o, "PARTIALLY_FILLED", { qtySol: o.filledQty, fillPrice });
+    }
+    return { ...r, fillPrice };
+  }
+
+  /**
+   * ✅ Paired grid cycle, evaluated in this order each tick (each step a limit order, see ORDERS):
+   * 1) BUY rungs in WAIT fill -> lot paired to the rung, take-profit armed one sell step up
+   *    SELL rungs in FILLED rebuy at rebuyPrice -> lot paired to the sell rung, rung re-arms
+   * 2) lots with a targetPrice sell when reached -> their buy rung re-arms
+   * 3) SELL rungs in WAIT sell their paired lot (else oldest) -> rebuy armed one buy step down
+   * A rung / lot moves on once its order is FILLED (or cancelled part-filled); partial fills leave it armed.
+   */
+  simulateFills() {
+    if (!this.nowPrice || !this.anchor) return;
+    this.ensureLadder();
+    const buysHalted = this.buysHalted();
+    const matched = (o) => (o ? this.exchange.match(o, this.nowPrice, this.now()) : 0);
+
+    // BUY fills
+    for (const [i, rung] of (buysHalted ? [] : this.ladderBuys).entries()) {
+      if (rung.state === "FILLED") continue;
+      const o = this.restingOrder(rung, { side: "BUY", kind: "RUNG", price: rung.price, rung: rung.id });
+      const share = matched(o);
+      if (!share) continue;
+      const pos = this.fillBuyOrder(o, rung.price, share, { depth: i + 1 });
+      if (!pos) break;
+      if (o.state === "FILLED") this.finishBuyOrder(o);
+    }
+
+    // Paired rebuys (sell rungs waiting to buy back one step down)
+    for (const rung of buysHalted ? [] : this.ladderSells) {
+      if (rung.state !== "FILLED" || rung.rebuyPrice == null) continue;
+      const o = this.restingOrder(rung, { side: "BUY", kind: "REBUY", price: rung.rebuyPrice, rung: rung.id });
+      const share = matched(o);
+      if (!share) continue;
+      const pos = this.fillBuyOrder(o, rung.rebuyPrice, share, { note: "REBUY" });
+      if (!pos) break;
+      if (o.state === "FILLED") this.finishBuyOrder(o);
+    }
+
+    // Paired take-profits (lots opened by buy rungs)
+    for (const pos of this.openPositions.filter((p) => p.targetPrice != null)) {
+      if (!this.openPositions.includes(pos)) continue; // closed by an earlier take-profit's lot pick
+      const o = this.restingOrder(pos, { side: "SELL", kind: "TP", price: pos.targetPrice, rung: pos.rung, posId: pos.id });
+      const share = matched(o);
+      if (!share) {
+        delete pos.skip;
+        continue;
+      }
+      const r = this.fillSellOrder(o, pos.targetPrice, share);
+      if (!r.ok) this.noteSellSkip(pos, `TP #${pos.id}`, r.fillPrice, r.reason);
+      // partial take-profit: the rest of the lot waits one more sell step up
+      else if (!r.closed && o.state === "FILLED") pos.targetPrice = stepFrom(pos.targetPrice, this.ladderSpacing(), "sell");
+    }
+
+    // SELL fills (lot chosen by LOT_MATCHING; skipped while no lot qualifies)
+    for (const rung of this.ladderSells) {
+      if (rung.state === "FILLED") continue;
+      const o = this.restingOrder(rung, { side: "SELL", kind: "SELL", price: rung.price, rung: rung.id, pairedPosId: rung.pairedPosId });
+      const share = matched(o);
+      if (!share) {
+        delete rung.skip;
+        continue;
+      }
+      const r = this.fillSellOrder(o, rung.price, share);
+      if (!r.ok) {
+        if (!this.openPositions.length) break;
+        this.noteSellSkip(rung, rung.id, r.fillPrice, r.reason);
+        continue;
+      }
+      delete rung.skip;
+      if (o.state !== "FILLED") continue;
+      rung.state = "FILLED";
+      rung.fills = (rung.fills || 0) + 1;
+      rung.pairedPosId = null;
+      rung.orderId = null;
+      rung.size = { usd: o.filledUsd, qty: o.filledQty, sizing: r.trade.sizing };
+      rung.rebuyPrice = stepFrom(rung.price, this.ladderSpacing(), "buy");
+    }
+
+    this.sweepOrders();
+  }
+
+  // Market-sell every open lot (TAKER), ignoring lot matching and min profit.
+  sellAllAtMarket(note) {
+    let closed = 0;
+    let pnlUsd = 0;
+    while (this.openPositions.length) {
+      const pos = this.pickLot(this.nowPrice, { force: true }).pos;
+      const { price, slippage } = this.slipped("SELL", this.nowPrice, pos.qtySol * this.nowPrice);
+      const r = this.placeSellAtPrice(price, { posId: pos.id, exact: true, force: true, note, liquidity: "TAKER", slippage });
+      if (!r.ok) break;
+      closed++;
+      pnlUsd += r.trade.pnlUsd;
+    }
+    return { closed, pnlUsd, left: this.openCount() };
+  }
+
+  // =====================
+  // RISK CONTROLS
+  // =====================
+  /**
+   * ✅ Risk rules (each 0 = off), checked on every traded price before fills:
+   * - STOP_LOSS_PCT: a lot at entry * (1 - pct) or lower is sold at market -> HALTED
+   * - MAX_DRAWDOWN_PCT: portfolio value pct below its peak -> every lot sold at market -> HALTED
+   * - DAILY_LOSS_LIMIT_USD: realized loss today (UTC) reaches the limit -> HALTED until next UTC day
+   * - TREND_BREAK_PCT: price pct below the lowest buy rung -> buys HALTED, sells go on
+   * this.halt persists in STATE_FILE; an operator clears it with POST /control/:id/clear-halt.
+   */
+  checkRisk() {
+    const price = this.nowPrice;
+
+    if (this.halt?.until && this.now() >= this.halt.until) {
+      this.recordTrade({ ts: this.now(), side: "RISK", price, qtySol: 0, note: `HALT_EXPIRED ${this.halt.rule}` });
+      this.log("HALT_EXPIRED", this.halt.rule);
+      this.halt = null;
+    }
+
+    if (this.cfg.STOP_LOSS_PCT > 0) {
+      const hit = this.openPositions.filter((p) => price <= p.entryPrice * (1 - this.cfg.STOP_LOSS_PCT));
+      for (const pos of hit) {
+        const { price: fillPrice, slippage } = this.slipped("SELL", price, pos.qtySol * price);
+        this.placeSellAtPrice(fillPrice, {
+          posId: pos.id, exact: true, force: true, liquidity: "TAKER", note: `STOP_LOSS -${pct(this.cfg.STOP_LOSS_PCT)}`, slippage,
+        });
+      }
+      if (hit.length) {
+        this.haltFor("stop-loss", `lot ${hit.map((p) => `#${p.id} @ ${round(p.entryPrice, 4)}`).join(", ")} ` +
+          `down ${pct(this.cfg.STOP_LOSS_PCT)}+ at ${round(price, 4)}, sold at market`);
+      }
+    }
+
+    const pv = this.portfolioValueUsd();
+    if (Number.isFinite(pv)) this.risk.peakPv = Math.max(this.risk.peakPv ?? pv, pv);
+    if (this.cfg.MAX_DRAWDOWN_PCT > 0 && Number.isFinite(pv) && pv <= this.risk.peakPv * (1 - this.cfg.MAX_DRAWDOWN_PCT)) {
+      const dd = 1 - pv / this.risk.peakPv;
+      const out = this.sellAllAtMarket(`DRAWDOWN_STOP -${pct(dd)}`);
+      this.haltFor("drawdown", `portfolio $${round(pv, 2)} is ${pct(dd)} below peak $${round(this.risk.peakPv, 2)}` +
+        (out.closed ? `, ${out.closed} lot(s) sold at market` : ""));
+    }
+
+    const today = utcDay(this.now());
+    if (this.cfg.DAILY_LOSS_LIMIT_USD > 0 && this.risk.day === today &&
+        this.risk.dayRealizedUsd - (this.risk.dayBaseUsd || 0) <= -this.cfg.DAILY_LOSS_LIMIT_USD) {
+      this.haltFor("daily-loss", `realized $${round(this.risk.dayRealizedUsd, 2)} today (limit -$${this.cfg.DAILY_LOSS_LIMIT_USD})`,
+        "all", Date.parse(today) + 24 * 3600_000);
+    }
+
+    const lowest = this.ladderBuys[this.ladderBuys.length - 1];
+    if (this.cfg.TREND_BREAK_PCT > 0 && lowest) {
+      const floor = lowest.price * (1 - this.cfg.TREND_BREAK_PCT);
+      if (price > floor) this.risk.trendArmed = true;
+      else if (this.risk.trendArmed !== false) {
+        this.haltFor("trend-break", `price ${round(price, 4)} is ${pct(this.cfg.TREND_BREAK_PCT)}+ below lowest buy rung ` +
+          `${lowest.id} @ ${round(lowest.price, 4)}`, "buys");
+      }
+    }
+  }
+
+  /**
+   * Enter HALTED. scope 'all' stops every grid fill, 'buys' only buy rungs / rebuys / micro-seed.
+   * A narrower halt is replaced by a wider one; otherwise the first reason is kept.
+   */
+  haltFor(rule, reason, scope = "all", until = null) {
+    if (this.halt && (this.halt.scope === "all" || scope === "buys")) return;
+    this.halt = { at: this.now(), rule, reason, scope, ...(until ? { until } : {}) };
+    this.stats.halts = (this.stats.halts || 0) + 1;
+    this.recordTrade({ ts: this.now(), side: "RISK", price: this.nowPrice, qtySol: 0, note: `HALT ${rule}: ${reason}` });
+    this.log("HALTED", rule, `scope=${scope}`, reason);
+  }
+
+  buysHalted() {
+    return !!this.halt;
+  }
+
+  // =====================
+  // OPERATOR CONTROLS
+  // =====================
+  // Each action lands in the trade history: fills as BUY/SELL with an "OP ..." note,
+  // everything else as an OPERATOR event. Bad input throws; the HTTP layer turns it into a 400.
+  opNote(action, note) {
+    return note ? `OP ${action}: ${note}` : `OP ${action}`;
+  }
+
+  recordOperator(action, note, extra = {}) {
+    this.recordTrade({
+      ts: this.now(),
+      side: "OPERATOR",
+      price: this.nowPrice,
+      qtySol: 0,
+      note: this.opNote(action, note),
+      ...extra,
+    });
+    this.log("OPERATOR", action, note ? `note="${note}"` : "");
+  }
+
+  requirePrice() {
+    if (!Number.isFinite(this.nowPrice)) throw new Error("No price yet");
+    return this.nowPrice;
+  }
+
+  pauseFills(note) {
+    if (this.pause) throw new Error(`Already paused since ${new Date(this.pause.at).toISOString()}`);
+    this.pause = { at: this.now(), note: note || "" };
+    this.recordOperator("PAUSE", note);
+    return { pause: this.pause };
+  }
+
+  resumeFills(note) {
+    if (!this.pause) throw new Error("Not paused");
+    const pausedMs = this.now() - this.pause.at;
+    this.pause = null;
+    this.recordOperator("RESUME", note);
+    return { pausedMs };
+  }
+
+  /**
+   * Back to START_USD / START_SOL: lots, ladder, anchor, stats, equity curve and any
+   * risk halt are dropped; the ledger is kept. The next price re-inits the anchor (and micro-seed) like a fresh start.
+   */
+  resetAccount(note) {
+    const closedLots = this.openCount();
+    this.cancelOrders(() => true, "reset");
+    this.openPositions = [];
+    this.ladderBuys = [];
+    this.ladderSells = [];
+    this.spacing = null;
+    this.anchor = null;
+    this.anchorSetAt = 0;
+    this.balances = { usd: this.cfg.START_USD, sol: this.cfg.START_SOL };
+    this.stats = {
+      trades: 0, buys: 0, sells: 0, realizedPnlUsd: 0, feesUsd: 0, avgEntry: null, recenters: 0,
+      lotsClosed: 0, lotsWon: 0, holdMsTotal: 0, sellsSkipped: 0, halts: 0,
+      ordersPlaced: 0, ordersRejected: 0, ordersCancelled: 0, partialFills: 0, slippageUsd: 0,
+    };
+    this.halt = null;
+    this.risk = { peakPv: null, day: null, dayRealizedUsd: 0, dayBaseUsd: 0, trendArmed: true };
+    this.sellSkips = [];
+    this.equity = [];
+    this.hodlRef = null;
+    this.recordOperator("RESET", note, { droppedLots: closedLots });
+    return { balances: this.balances, droppedLots: closedLots };
+  }
+
+  /**
+   * Rebuild both sides at `anchor` (default: current price) with the running config.
+   * Clears pending rebuild keys from hot reload; open lots keep their take-profits.
+   */
+  rebuildLadder(anchor, note) {
+    const a = anchor ?? this.requirePrice();
+    if (!Number.isFinite(a) || a <= 0) throw new Error("anchor must be a positive number");
+    const oldAnchor = this.anchor;
+    this.anchor = a;
+    this.anchorSetAt = this.now();
+    this.setLadder(a);
+    this.recordOperator("REBUILD", note, { price: a, prevAnchor: oldAnchor });
+    return { anchor: a, buys: this.ladderBuys.length, sells: this.ladderSells.length };
+  }
+
+  // Market buy at the current price (TAKER), outside the packet limit and guard.
+  manualBuy(usd, note) {
+    const ref = this.requirePrice();
+    const { price: fillPrice, slippage } = this.slipped("BUY", ref, usd ?? this.orderSize(ref).usd);
+    const costUsd = usd ?? this.orderSize(fillPrice).usd;
+    if (!Number.isFinite(costUsd) || costUsd <= 0) throw new Error("usd must be a positive number");
+    const pos = this.placeBuyAtPrice(fillPrice, { costUsd, note: this.opNote("BUY", note), liquidity: "TAKER", force: true, slippage });
+    if (!pos && slippage.error) throw new Error(`AMM pool: ${slippage.error}`);
+    if (!pos) throw new Error(`Insufficient USD: have ${round(this.balances.usd, 2)}, need ${round(costUsd + this.feeFor(costUsd, "TAKER"), 2)}`);
+    return { trade: this.trades[0] };
+  }
+
+  // Market sell of one lot (posId, else per LOT_MATCHING) at the current price (TAKER), ignoring MIN_PROFIT_PCT.
+  manualSell(posId, note) {
+    if (!this.openPositions.length) throw new Error("No open positions");
+    if (posId != null && !this.openPositions.some((p) => p.id === posId)) throw new Error(`No open position #${posId}`);
+    const ref = this.requirePrice();
+    const lot = this.pickLot(ref, { posId, exact: posId != null, force: true }).pos;
+    const { price: fillPrice, slippage } = this.slipped("SELL", ref, lot.qtySol * ref);
+    const r = this.placeSellAtPrice(fillPrice, {
+      posId: lot.id, exact: true, force: true, note: this.opNote("SELL", note), liquidity: "TAKER", slippage,
+    });
+    if (!r.ok) throw new Error(`Sell failed: ${r.reason}`);
+    return { trade: r.trade };
+  }
+
+  closeAll(note) {
+    if (!this.openPositions.length) throw new Error("No open positions");
+    this.requirePrice();
+    return this.sellAllAtMarket(this.opNote("CLOSE_ALL", note));
+  }
+
+  clearHalt(note) {
+    if (!this.halt) throw new Error("Not halted");
+    const was = this.halt;
+    this.halt = null;
+    // re-arm from here, or the same condition trips again on the next price
+    this.risk.peakPv = this.portfolioValueUsd();
+    this.risk.dayBaseUsd = this.risk.dayRealizedUsd;
+    if (was.rule === "trend-break") this.risk.trendArmed = false;
+    this.recordOperator("CLEAR_HALT", note, { clearedRule: was.rule });
+    return { cleared: was };
+  }
+
+  // =====================
+  // STATUS
+  // =====================
+  portfolioValueUsd() {
+    if (!Number.isFinite(this.nowPrice)) return null;
+    return this.balances.usd + this.balances.sol * this.nowPrice;
+  }
+
+  // =====================
+  // EQUITY / PERFORMANCE
+  // =====================
+  equitySample() {
+    return {
+      ts: this.now(),
+      pv: this.portfolioValueUsd(),
+      price: this.nowPrice,
+      usd: this.balances.usd,
+      sol: this.balances.sol,
+      open: this.openCount(),
+    };
+  }
+
+  sampleEquity() {
+    if (!Number.isFinite(this.nowPrice)) return;
+    this.equity = addSample(this.equity, this.equitySample(), {
+      sampleMs: this.cfg.EQUITY_SAMPLE_MS,
+      maxPoints: this.cfg.EQUITY_MAX_POINTS,
+    });
+  }
+
+  // Stored samples plus the live point (when priced and not just sampled)
+  equitySeries() {
+    if (!Number.isFinite(this.nowPrice)) return this.equity;
+    const last = this.equity[this.equity.length - 1];
+    return last && last.ts === this.now() ? this.equity : [...this.equity, this.equitySample()];
+  }
+
+  performance() {
+    const ref = this.hodlRef;
+    return equityMetrics(this.equitySeries(), {
+      startValue: ref ? this.cfg.START_USD + this.cfg.START_SOL * ref.price : null,
+      hodlQty: ref ? this.cfg.START_USD / ref.price + this.cfg.START_SOL : null,
+      lotsClosed: this.stats.lotsClosed,
+      lotsWon: this.stats.lotsWon,
+      holdMsTotal: this.stats.holdMsTotal,
+    });
+  }
+
+  // Price chart history: one point per CHART_WINDOW_MS / CHART_MAX_POINTS, only the last CHART_WINDOW_MS kept
+  recordPriceHistory(price) {
+    const { CHART_WINDOW_MS: windowMs, CHART_MAX_POINTS: maxPoints } = this.cfg;
+    const from = this.now() - windowMs;
+    const h = addSample(this.priceHistory, { ts: this.now(), price }, { sampleMs: windowMs / maxPoints, maxPoints });
+    this.priceHistory = h[0]?.ts < from ? h.filter((p) => p.ts >= from) : h;
+  }
+
+  /**
+   * What the dashboard price chart draws over the last CHART_WINDOW_MS: prices (equity samples
+   * fill in before this run's history, the live price last), ladder rungs, anchor, breakeven,
+   * open lots and the BUY/SELL fills from the ledger.
+   */
+  chartObj() {
+    const now = this.now();
+    const from = now - this.cfg.CHART_WINDOW_MS;
+    const first = this.priceHistory[0]?.ts ?? Infinity;
+    const prices = this.equity
+      .filter((e) => e.ts >= from && e.ts < first && Number.isFinite(e.price))
+      .map((e) => ({ ts: e.ts, price: e.price }))
+      .concat(this.priceHistory);
+    if (Number.isFinite(this.nowPrice) && prices[prices.length - 1]?.ts !== this.lastTickAt) {
+      prices.push({ ts: this.lastTickAt || now, price: this.nowPrice });
+    }
+
+    const rung = (r) => {
+      const o = r.orderId != null ? this.orders.find((x) => x.id === r.orderId) : null;
+      return { id: r.id, price: r.price, state: r.state, skip: r.skip?.reason, order: o ? o.state : undefined };
+    };
+    const fills = this.ledger.query({ side: "BUY,SELL", from, limit: 200 }).items.reverse();
+    return {
+      gridId: this.id,
+      ts: now,
+      from,
+      windowMs: this.cfg.CHART_WINDOW_MS,
+      nowPrice: this.nowPrice,
+      anchor: this.anchor,
+      breakeven: this.breakeven(),
+      prices,
+      ladder: { buys: this.ladderBuys.map(rung), sells: this.ladderSells.map(rung) },
+      lots: this.openPositions.map((p) => ({
+        id: p.id, entryPrice: p.entryPrice, qtySol: p.qtySol, openedAt: p.openedAt, targetPrice: p.targetPrice, rung: p.rung,
+      })),
+      fills: fills.map((t) => ({
+        seq: t.seq, ts: t.ts, side: t.side, price: t.price, qtySol: t.qtySol, notionalUsd: t.notionalUsd,
+        feeUsd: t.feeUsd, pnlUsd: t.pnlUsd, rung: t.rung, posId: t.posId, note: t.note,
+      })),
+    };
+  }
+
+  // Everything in statusObj except config, ladder, positions and trades: what changes every tick
+  tickObj() {
+    return {
+      ts: this.now(),
+      iso: new Date(this.now()).toISOString(),
+      gridId: this.id,
+      asset: this.asset,
+      nowPrice: this.nowPrice,
+      priceSource: this.priceSource,
+      anchor: this.anchor,
+      anchorSetAt: this.anchorSetAt,
+      drift: this.driftPct(),
+      lastPriceError: this.lastPriceError,
+      lastPriceChangeAt: this.lastPriceChangeAt,
+      priceStale: this.priceStale,
+      priceSources: this.sourceHealth,
+      intrabar: this.intrabar,
+      slippage: {
+        model: this.cfg.SLIPPAGE_MODEL,
+        book: this.book
+          ? { source: this.book.source, ts: this.book.ts, bid: this.book.bids[0][0], ask: this.book.asks[0][0], levels: [this.book.bids.length, this.book.asks.length] }
+          : null,
+        bookError: this.bookError,
+      },
+      amm: this.pool ? this.poolSummary() : null,
+      pause: this.pause,
+      halt: this.halt,
+      risk: {
+        ...this.risk,
+        stopLossPct: this.cfg.STOP_LOSS_PCT,
+        maxDrawdownPct: this.cfg.MAX_DRAWDOWN_PCT,
+        dailyLossLimitUsd: this.cfg.DAILY_LOSS_LIMIT_USD,
+        trendBreakPct: this.cfg.TREND_BREAK_PCT,
+      },
+      controlEnabled: this.controlEnabled,
+
+      balances: this.balances,
+      stats: {
+        ...this.stats,
+        openPositions: this.openCount(),
+        buyPackets: this.cfg.BUY_PACKETS,
+        sellPackets: this.cfg.SELL_PACKETS,
+        guard: "blocks BUY when open+1 > sell packets",
+        guardBlocked: this.guardBlocksBuyNext(),
+        breakeven: this.breakeven(),
+        portfolioValueUsd: this.portfolioValueUsd(),
+      },
+      performance: this.performance(),
+    };
+  }
+
+  statusObj() {
+    return {
+      ...this.tickObj(),
+
+      config: {
+        ...this.cfg,
+        NOTIFY_WEBHOOKS: displayValue("NOTIFY_WEBHOOKS", this.cfg.NOTIFY_WEBHOOKS),
+        sources: this.cfgSources,
+        symbols: this.symbols,
+        file: this.configFile,
+        pendingRebuild: this.pendingRebuild,
+        lastReload: this.lastReload,
+      },
+
+      ladder: { buys: this.ladderBuys, sells: this.ladderSells, spacing: this.ladderSpacing() },
+      positions: this.openPositions,
+      sellSkips: this.sellSkips,
+      exchange: this.exchange.name,
+      orders: this.orders,
+      orderEvents: this.orderEvents,
+      trades: this.trades,
+    };
+  }
+
+  // =====================
+  // LIVE EVENTS (SSE)
+  // =====================
+  // Subscribers get (event, data) for:
+  //   status       full statusObj (on connect, config reload)
+  //   tick         tickObj after every price / operator action
+  //   fill         each new trade-list entry (BUY / SELL, also ANCHOR / OPERATOR)
+  //   ladder       { ladder, positions, sellSkips, orders } whenever a rung, lot or order changed
+  //   order        each order lifecycle event (NEW, PARTIALLY_FILLED, FILLED, CANCELLED, REJECTED)
+  //   price-error  { lastPriceError, ts } when a price fetch fails
+  subscribe(fn) {
+    this.subscribers.add(fn);
+    return () => this.subscribers.delete(fn);
+  }
+
+  publish(event, data) {
+    for (const fn of this.subscribers) fn(event, data);
+  }
+
+  publishUpdate() {
+    if (!this.subscribers.size) return;
+    this.publish("tick", this.tickObj());
+
+    const ladder = {
+      ladder: { buys: this.ladderBuys, sells: this.ladderSells, spacing: this.ladderSpacing() },
+      positions: this.openPositions,
+      sellSkips: this.sellSkips,
+      orders: this.orders,
+    };
+    const sig = JSON.stringify(ladder);
+    if (sig !== this.lastLadderSig) {
+      this.lastLadderSig = sig;
+      this.publish("ladder", ladder);
+    }
+  }
+
+  /**
+   * Feed one price into the engine: init anchor + ladder once, then fills.
+   * Shared by the live tick and the backtest replay.
+   * With PRICE_STALE_MS set, a price that hasn't changed for that long is recorded
+   * but not traded on. Same for every price while an operator has paused fills.
+   * Risk rules run first, paused or not; HALTED (scope all) stops here, scope buys skips buy fills.
+   */
+  onPrice(price, source) {
+    if (price !== this.nowPrice || !this.lastPriceChangeAt) this.lastPriceChangeAt = this.now();
+    this.nowPrice = price;
+    this.priceSource = source;
+    this.lastTickAt = this.now();
+    this.lastPriceError = "";
+    this.volBars = addPriceBar(this.volBars, this.now(), price, this.cfg.VOL_BAR_MS, this.cfg.VOL_LOOKBACK_BARS + 2);
+    this.recordPriceHistory(price);
+
+    const stale = this.cfg.PRICE_STALE_MS > 0 && (this.now() - this.lastPriceChangeAt) >= this.cfg.PRICE_STALE_MS;
+    if (stale !== this.priceStale) {
+      this.log(stale ? "PRICE_STALE" : "PRICE_FRESH", `price=${price}` +
+        (stale ? ` unchanged since ${new Date(this.lastPriceChangeAt).toISOString()}, not trading` : ""));
+    }
+    this.priceStale = stale;
+
+    // ✅ risk rules run even while paused, stale or halted (stop-loss still protects held lots)
+    this.checkRisk();
+    if (stale || this.pause) {
+      this.cancelOrders(() => true, stale ? "price stale" : "paused");
+      this.sampleEquity();
+      return;
+    }
+    if (this.halt?.scope === "all") {
+      this.cancelOrders(() => true, `halted (${this.halt.rule})`);
+      this.sampleEquity();
+      return;
+    }
+
+    // Init anchor + ladder once
+    if (!this.anchor) {
+      this.anchor = price;
+      this.anchorSetAt = this.now();
+      this.setLadder(this.anchor);
+      this.hodlRef ??= { price: this.anchor, at: this.now() };
+
+      // ✅ micro-seed runs once (if enabled) to create initial inventory
+      this.runMicroSeedOnce();
+
+      this.log("INIT", "anchor=", round(this.anchor, 4), "src=", this.priceSource, "spacing=", this.spacing.label);
+    } else {
+      this.maybeRecenter();
+    }
+
+    // normal fills
+    this.simulateFills();
+    this.planRungSizes();
+    this.sampleEquity();
+    this.checkAlerts();
+  }
+
+  /**
+   * Apply a reloaded config: safe + rebuild keys take effect now, restart keys
+   * keep their running value. Rebuild keys are reported until the ladder is rebuilt.
+   */
+  applyConfigReload(next, onTickMsChange) {
+    const diff = diffConfig(this.cfg, next.values);
+    const merged = { ...next.values };
+    const sources = { ...next.sources };
+    for (const { key } of diff.restart) {
+      merged[key] = this.cfg[key];
+      sources[key] = this.cfgSources[key];
+    }
+
+    const tickChanged = merged.TICK_MS !== this.cfg.TICK_MS;
+    this.cfg = merged;
+    this.cfgSources = sources;
+
+    for (const { key } of diff.rebuild) {
+      if (!this.pendingRebuild.includes(key)) this.pendingRebuild.push(key);
+    }
+
+    const fmtChange = (x) => `${x.key} ${displayValue(x.key, x.from)} -> ${displayValue(x.key, x.to)}`;
+    this.lastReload = {
+      at: this.now(),
+      ok: true,
+      applied: [...diff.safe, ...diff.rebuild].map(fmtChange),
+      needsLadderRebuild: diff.rebuild.map((x) => x.key),
+      needsRestart: diff.restart.map(fmtChange),
+    };
+
+    this.log("CONFIG_RELOADED",
+      `applied=[${this.lastReload.applied.join(", ")}]`,
+      `needsLadderRebuild=[${this.lastReload.needsLadderRebuild.join(", ")}]`,
+      `needsRestart=[${this.lastReload.needsRestart.join(", ")}]`);
+
+    this.notifier?.configure(this.notifyOptions());
+    if (tickChanged) onTickMsChange();
+  }
+
+  // =====================
+  // NOTIFICATIONS (WEBHOOKS)
+  // =====================
+  // Events (NOTIFY_EVENTS): fill, micro-seed, guard-blocked, ladder-full, price-outage.
+  // guard-blocked / ladder-full fire when the condition switches on; the first check after
+  // start only records the baseline.
+  notifyOptions() {
+    return {
+      webhooks: this.cfg.NOTIFY_WEBHOOKS,
+      events: this.cfg.NOTIFY_EVENTS,
+      digestMs: this.cfg.NOTIFY_DIGEST_MS,
+      ratePerMin: this.cfg.NOTIFY_RATE_PER_MIN,
+      retries: this.cfg.NOTIFY_RETRIES,
+      backoffMs: this.cfg.NOTIFY_BACKOFF_MS,
+    };
+  }
+
+  startNotifier() {
+    this.notifier = new Notifier({ log: (...args) => this.log(...args) }).configure(this.notifyOptions());
+    return this.notifier;
+  }
+
+  notify(event, text) {
+    this.notifier?.notify(event, `[${this.id}] ${text}`);
+  }
+
+  notifyFill(t) {
+    const qty = `${round(t.qtySol, 6)} ${this.asset} @ ${round(t.price, 4)}`;
+    const pnl = t.side === "SELL" ? ` pnl $${round(t.pnlUsd, 2)}` : "";
+    const where = [t.rung, t.note].filter(Boolean).join(" ");
+    this.notify("fill", `${t.side} ${qty} ($${round(t.notionalUsd, 2)}, fee $${round(t.feeUsd, 4)})${pnl}` +
+      (where ? ` [${where}]` : ""));
+  }
+
+  checkAlerts() {
+    const blocked = this.guardBlocksBuyNext();
+    if (blocked && this.alerts.guardBlocked === false) {
+      this.notify("guard-blocked", `Guard BLOCKING buys: ${this.openCount()} open lots, SELL_PACKETS=${this.cfg.SELL_PACKETS}`);
+    }
+    this.alerts.guardBlocked = blocked;
+
+    const full = this.ladderBuys.length > 0 && this.ladderBuys.every((r) => r.state === "FILLED");
+    if (full && this.alerts.ladderFull === false) {
+      this.notify("ladder-full", `Ladder fully filled: all ${this.ladderBuys.length} buy rungs FILLED, price ${round(this.nowPrice, 4)}, usd $${round(this.balances.usd, 2)}`);
+    }
+    this.alerts.ladderFull = full;
+  }
+
+  // Called by the tick loop: NOTIFY_FETCH_FAILS failures in a row = outage, next price = recovered
+  noteFetchResult(ok) {
+    if (ok) {
+      if (this.alerts.outage) this.notify("price-outage", `Price feed recovered after ${this.alerts.fetchFails} failed fetches (${this.priceSource})`);
+      this.alerts.fetchFails = 0;
+      this.alerts.outage = false;
+      return;
+    }
+    this.alerts.fetchFails++;
+    if (!this.alerts.outage && this.alerts.fetchFails >= this.cfg.NOTIFY_FETCH_FAILS) {
+      this.alerts.outage = true;
+      this.notify("price-outage", `PRICE_FETCH_FAILED ${this.alerts.fetchFails}x in a row: ${this.lastPriceError}`);
+    }
+  }
+
+  // =====================
+  // PRICE POLL
+  // =====================
+  /**
+   * INTRABAR_FILLS: feed the 1m kline path since the last poll through onPrice, each point
+   * on its candle's clock, so wicks between polls fill rungs. A failed kline fetch only skips the replay.
+   * Candles are minute-aligned: one that opened before the last poll is skipped, since that poll
+   * may already have traded on its high / low.
+   */
+  async replayIntrabar() {
+    if (this.cfg.INTRABAR_FILLS === "off" || !this.lastTickAt || !this.anchor) return;
+    const to = this.now();
+    const from = Math.max(this.lastTickAt, to - KLINE_MAX_LOOKBACK_MS);
+    let klines;
+    try {
+      klines = await this.prices.klines(this, from, to);
+    } catch (e) {
+      this.intrabar = { at: to, source: null, candles: 0, points: 0, error: (e?.message || String(e)).slice(0, 180) };
+      this.log("KLINES_FAILED", this.intrabar.error);
+      return;
+    }
+    const { source } = klines;
+    const candles = klines.candles.filter((c) => c.ts >= from);
+    const path = barsToTicks(candles, this.cfg.INTRABAR_ORDER)
+      .map((t) => ({ ts: Math.min(to, t.ts), price: t.price }));
+    for (const t of path) this.atTime(t.ts, () => this.onPrice(t.price, `${source}_1M`));
+    this.intrabar = { at: to, source, candles: candles.length, points: path.length };
+  }
+
+  // One poll: price (+ intra-interval path) -> onPrice -> save -> live events. Never throws.
+  // A tick that starts while the last one is still awaiting its fetches is skipped, not overlapped.
+  // Only a failed price fetch counts as PRICE_FETCH_FAILED (and toward the outage alert); an
+  // error in the engine itself is logged as TICK_FAILED.
+  async tick() {
+    if (this.ticking) {
+      this.log("TICK_SKIPPED", "previous tick still running");
+      return;
+    }
+    this.ticking = true;
+    try {
+      let quote;
+      try {
+        quote = await this.prices.price(this);
+      } catch (e) {
+        this.lastPriceError = (e?.message || String(e)).slice(0, 180);
+        this.log("PRICE_FETCH_FAILED", this.lastPriceError);
+        this.noteFetchResult(false);
+        this.saveState();
+        this.publish("price-error", { ts: this.now(), lastPriceError: this.lastPriceError });
+        this.publishUpdate();
+        return;
+      }
+
+      await this.refreshBook();
+      await this.replayIntrabar();
+      this.onPrice(quote.price, quote.source);
+      this.noteFetchResult(true);
+
+      this.saveState();
+      this.publishUpdate();
+
+      this.log(
+        `NOW=${round(this.nowPrice, 2)}${this.priceStale ? " (STALE, not trading)" : ""}${this.pause ? " (PAUSED)" : ""}${this.halt ? ` (HALTED ${this.halt.rule})` : ""} src=${this.priceSource} anchor=${this.anchor ? round(this.anchor, 2) : "—"} open=${this.openCount()}/${this.cfg.BUY_PACKETS} usd=${round(this.balances.usd, 2)} ${this.asset.toLowerCase()}=${round(this.balances.sol, 4)}`
+      );
+    } catch (e) {
+      this.log("TICK_FAILED", e?.stack || e?.message || String(e));
+    } finally {
+      this.ticking = false;
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * lib/equity.js — equity curve sampling + performance metrics
+ * ------------------------------------------------------------------------------------------------
+ * Sample: { ts, pv, price, usd, sol, open } (portfolio value, price, balances, open lots)
+ * One sample per sampleMs. Past maxPoints the older half of the series is thinned to every
+ * other sample, so recent history keeps full resolution and the whole run still fits.
+ *
+ * Metrics (risk-free rate 0):
+ *   max drawdown     largest peak-to-trough drop of pv
+ *   annualized       total return compounded to a year (null under one day of history)
+ *   sharpe/sortino   mean sample return / (downside) deviation, scaled by samples per year
+ *   win rate / hold  from closed-lot counters kept in the grid's stats
+ *   HODL             START_USD spent on the asset at the first anchor (plus START_SOL), held
+ */
+
+const DAY_MS = 24 * 3600_000;
+const YEAR_MS = 365 * DAY_MS;
+
+export function addSample(samples, sample, { sampleMs, maxPoints }) {
+  const last = samples[samples.length - 1];
+  if (last && sample.ts - last.ts < sampleMs) return samples;
+  samples.push(sample);
+  if (samples.length <= maxPoints) return samples;
+
+  const half = Math.floor(samples.length / 2);
+  const older = samples.slice(0, half).filter((_, i) => i % 2 === 0);
+  return older.concat(samples.slice(half));
+}
+
+function maxDrawdown(pvs) {
+  let peak = -Infinity;
+  let worst = { pct: 0, usd: 0 };
+  for (const v of pvs) {
+    peak = Math.max(peak, v);
+    const usd = peak - v;
+    if (peak > 0 && usd / peak > worst.pct) worst = { pct: usd / peak, usd };
+  }
+  return worst;
+}
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+/**
+ * samples: equity series, oldest first (append the live point before calling)
+ * ctx: { startValue, hodlQty, lotsClosed, lotsWon, holdMsTotal }
+ */
+export function equityMetrics(samples, ctx) {
+  const pts = samples.filter((s) => Number.isFinite(s.pv) && s.pv > 0);
+  const closed = ctx.lotsClosed || 0;
+  const base = {
+    samples: pts.length,
+    winRate: closed ? (ctx.lotsWon || 0) / closed : null,
+    lotsClosed: closed,
+    avgHoldMs: closed ? (ctx.holdMsTotal || 0) / closed : null,
+  };
+  if (pts.length < 2) return base;
+
+  const first = pts[0];
+  const last = pts[pts.length - 1];
+  const spanMs = last.ts - first.ts;
+  const startValue = ctx.startValue > 0 ? ctx.startValue : first.pv;
+  const totalReturn = last.pv / startValue - 1;
+  const dd = maxDrawdown([startValue, ...pts.map((s) => s.pv)]);
+
+  const rets = [];
+  for (let i = 1; i < pts.length; i++) rets.push(pts[i].pv / pts[i - 1].pv - 1);
+  const perYear = spanMs > 0 ? Math.sqrt(YEAR_MS / (spanMs / rets.length)) : 0;
+  const m = mean(rets);
+  const sd = Math.sqrt(mean(rets.map((r) => (r - m) ** 2)));
+  const downside = Math.sqrt(mean(rets.map((r) => Math.min(r, 0) ** 2)));
+
+  const hodlValue = ctx.hodlQty > 0 ? ctx.hodlQty * last.price : null;
+  const hodlReturn = hodlValue != null ? hodlValue / startValue - 1 : null;
+
+  return {
+    ...base,
+    from: first.ts,
+    to: last.ts,
+    startValue,
+    value: last.pv,
+    totalReturn,
+    annualizedReturn: spanMs >= DAY_MS ? (1 + totalReturn) ** (YEAR_MS / spanMs) - 1 : null,
+    maxDrawdownPct: dd.pct,
+    maxDrawdownUsd: dd.usd,
+    sharpe: rets.length >= 2 && sd > 0 ? (m / sd) * perYear : null,
+    sortino: rets.length >= 2 && downside > 0 ? (m / downside) * perYear : null,
+    hodl: hodlValue != null
+      ? { qty: ctx.hodlQty, value: hodlValue, return: hodlReturn, excessReturn: totalReturn - hodlReturn }
+      : null,
+  };
+}
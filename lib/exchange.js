@@ -0,0 +1,85 @@
+/**
+ * lib/exchange.js — exchange adapters: where the grid's limit orders rest and how they fill
+ * ------------------------------------------------------------------------------------------------
+ * Every armed rung, rebuy and take-profit is a limit order (GridEngine keeps them in `orders`):
+ *   NEW -> PARTIALLY_FILLED -> FILLED      resting at its limit price, filled when price crosses it
+ *   NEW -> CANCELLED                       ladder rebuilt, lot closed elsewhere, paused/halted, ...
+ *   REJECTED                               refused by the venue on submit (re-submitted on a later price)
+ * Market actions (micro-seed, operator buy/sell/close-all, risk stops) still fill at once.
+ *
+ * An adapter is
+ *   name
+ *   submit(order, { now, working }) -> { ok: true, liveAt } | { ok: false, reason }
+ *                                      working = orders already resting; liveAt = first ms it can fill
+ *   match(order, price, now)        -> share (0..1] of the order's remaining size that fills at its
+ *                                      limit on this price, 0 = none
+ *   cancel(order, now)              -> acknowledged at once
+ * The engine sizes orders, does the paper accounting and still refuses fills its own limits
+ * (cash, packets, guard, MAX_POSITION_QTY) don't allow.
+ *
+ *   EXCHANGE=paper  PaperExchange: live at once, fills in full when crossed (the original behaviour)
+ *   EXCHANGE=mock   MockExchange:  MOCK_LATENCY_MS until an order is live, MOCK_FILL_RATIO of the
+ *                   remaining size per crossing price, MOCK_REJECT_PCT random rejects (MOCK_SEED),
+ *                   MOCK_MAX_OPEN_ORDERS (0 = no limit)
+ */
+
+import { seededRandom } from "./random.js";
+
+export const ORDER_STATES = ["NEW", "PARTIALLY_FILLED", "FILLED", "CANCELLED", "REJECTED"];
+
+export function crosses(order, price) {
+  return order.side === "BUY" ? price <= order.price : price >= order.price;
+}
+
+export class PaperExchange {
+  constructor() {
+    this.name = "paper";
+  }
+
+  submit(order, { now }) {
+    return { ok: true, liveAt: now };
+  }
+
+  match(order, price, now) {
+    return now >= order.liveAt && crosses(order, price) ? 1 : 0;
+  }
+
+  cancel() {}
+}
+
+export class MockExchange extends PaperExchange {
+  /** rules: { latencyMs, fillRatio, rejectPct, maxOpenOrders, seed } */
+  constructor(rules) {
+    super();
+    this.name = "mock";
+    this.rules = rules;
+    this.random = seededRandom(rules.seed);
+  }
+
+  submit(order, { now, working }) {
+    const { latencyMs, rejectPct, maxOpenOrders } = this.rules;
+    if (maxOpenOrders > 0 && working >= maxOpenOrders) {
+      return { ok: false, reason: `open order limit ${maxOpenOrders} reached` };
+    }
+    if (rejectPct > 0 && this.random() < rejectPct) return { ok: false, reason: "rejected by mock exchange" };
+    return { ok: true, liveAt: now + latencyMs };
+  }
+
+  match(order, price, now) {
+    return super.match(order, price, now) ? this.rules.fillRatio : 0;
+  }
+}
+
+/** Adapter for a grid's config (EXCHANGE, MOCK_*). */
+export function exchangeFor(cfg) {
+  if (cfg.EXCHANGE === "mock") {
+    return new MockExchange({
+      latencyMs: cfg.MOCK_LATENCY_MS,
+      fillRatio: cfg.MOCK_FILL_RATIO,
+      rejectPct: cfg.MOCK_REJECT_PCT,
+      maxOpenOrders: cfg.MOCK_MAX_OPEN_ORDERS,
+      seed: cfg.MOCK_SEED,
+    });
+  }
+  return new PaperExchange();
+}
@@ -0,0 +1,99 @@
+/**
+ * lib/ledger.js — append-only trade ledger (JSONL), one file per grid
+ * ------------------------------------------------------------------------------------------------
+ * Every trade-list event (BUY / SELL fills, ANCHOR re-centers, OPERATOR actions, RISK halts)
+ * is appended as one JSON line and never rewritten. Records get a monotonically increasing `seq`.
+ * file = null keeps the ledger in memory only (backtest).
+ * A torn last line (crash mid-append) is skipped on load and the next append starts on a new line,
+ * so the fragment never swallows a good record.
+ */
+
+import fs from "fs";
+
+export const LEDGER_SIDES = ["BUY", "SELL", "ANCHOR", "OPERATOR", "RISK"];
+
+const CSV_COLUMNS = [
+  "seq", "iso", "ts", "side", "price", "qtySol", "notionalUsd", "feeUsd", "liquidity",
+  "pnlUsd", "rung", "posId", "closedLots", "note", "sizing", "orderId",
+  "slippageUsd", "slippageModel", "poolPrice",
+];
+
+export class Ledger {
+  /** log: (...args) => void, used for lines it can't read */
+  constructor(file = null, { log = console.log } = {}) {
+    this.file = file;
+    this.log = log;
+    this.items = null; // loaded lazily, oldest first
+    this.lastSeq = 0;
+    this.torn = false; // file doesn't end with a newline: the next append adds one first
+  }
+
+  load() {
+    if (this.items) return this.items;
+    this.items = [];
+    if (this.file && fs.existsSync(this.file)) {
+      const text = fs.readFileSync(this.file, "utf8");
+      this.torn = text.length > 0 && !text.endsWith("\n");
+      text.split("\n").forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+          this.items.push(JSON.parse(line));
+        } catch {
+          // a torn last line from a crash mid-append; everything before it is intact
+          this.log("LEDGER_BAD_LINE", `${this.file}:${i + 1}`);
+        }
+      });
+    }
+    this.lastSeq = this.items.reduce((m, t) => Math.max(m, t.seq || 0), 0);
+    return this.items;
+  }
+
+  append(rec) {
+    this.load();
+    const t = { seq: ++this.lastSeq, ...rec };
+    if (this.file) {
+      fs.appendFileSync(this.file, (this.torn ? "\n" : "") + JSON.stringify(t) + "\n");
+      this.torn = false;
+    }
+    this.items.push(t);
+    return t;
+  }
+
+  /**
+   * Filter + paginate. Newest first unless order = 'asc'.
+   * q: { side: 'BUY'|'SELL'|'ANCHOR'|'OPERATOR'|'RISK'|'BUY,SELL', from, to (ms), offset, limit, order }
+   */
+  query(q = {}) {
+    const sides = q.side ? String(q.side).toUpperCase().split(",").filter(Boolean) : null;
+    let rows = this.load().filter((t) =>
+      (!sides || sides.includes(t.side)) &&
+      (q.from == null || t.ts >= q.from) &&
+      (q.to == null || t.ts <= q.to)
+    );
+    if (q.order !== "asc") rows = [...rows].reverse();
+
+    const total = rows.length;
+    const offset = Math.max(0, q.offset ?? 0);
+    const items = q.limit != null ? rows.slice(offset, offset + q.limit) : rows.slice(offset);
+    return { total, offset, limit: q.limit ?? total, items };
+  }
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function ledgerToCsv(items) {
+  const rows = items.map((t) => CSV_COLUMNS.map((k) => {
+    if (k === "iso") return csvCell(new Date(t.ts).toISOString());
+    if (k === "closedLots") {
+      return csvCell((t.closedLots || [])
+        .map((l) => `#${l.posId} ${l.qtySol}@${l.entryPrice} pnl=${l.pnlUsd}${l.partial ? " partial" : ""}`)
+        .join("; "));
+    }
+    return csvCell(t[k]);
+  }).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
@@ -0,0 +1,36 @@
+/**
+ * lib/metrics.js — Prometheus text exposition format (0.0.4), no client library
+ * ------------------------------------------------------------------------------------------------
+ * family: { name, help, type: 'gauge'|'counter', samples: [{ labels: { k: v }, value }] }
+ * Families without samples are left out. Non-finite values are written as NaN / +Inf / -Inf.
+ */
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function fmtValue(v) {
+  if (typeof v === "boolean") return v ? "1" : "0";
+  if (v == null || Number.isNaN(v)) return "NaN";
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return String(v);
+}
+
+function fmtLabels(labels = {}) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+export function renderMetrics(families) {
+  const out = [];
+  for (const f of families) {
+    if (!f.samples.length) continue;
+    out.push(`# HELP ${f.name} ${f.help}`);
+    out.push(`# TYPE ${f.name} ${f.type}`);
+    for (const s of f.samples) out.push(`${f.name}${fmtLabels(s.labels)} ${fmtValue(s.value)}`);
+  }
+  return out.join("\n") + "\n";
+}
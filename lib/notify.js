@@ -0,0 +1,190 @@
+/**
+ * lib/notify.js — outbound webhook notifications (Discord / Slack / Telegram / generic JSON)
+ * ------------------------------------------------------------------------------------------------
+ * Payload by URL:
+ *   discord.com/api/webhooks/...                    { content }
+ *   hooks.slack.com/...                             { text }
+ *   api.telegram.org/bot<token>/sendMessage?chat_id=<id>   { chat_id, text }
+ *   anything else                                   { text, content, events }
+ *
+ * Events are filtered by the enabled list, then either sent right away or collected for
+ * digestMs and sent as one message. At most ratePerMin messages go out per minute; events
+ * held back by the limit are sent together as one digest once the window reopens.
+ * Each POST is retried on network errors, 429 and 5xx with exponential backoff (Retry-After
+ * wins when the server sends one). Failures are logged with the webhook host only, since
+ * the URLs carry tokens.
+ */
+
+import axios from "axios";
+
+const TIMEOUT_MS = 10_000;
+const MAX_TEXT = 1900;      // Discord rejects content over 2000 chars
+const MAX_QUEUE = 200;      // oldest events are dropped past this while rate limited
+const MAX_RETRY_WAIT_MS = 60_000;
+const RATE_WINDOW_MS = 60_000;
+
+const ax = axios.create({
+  timeout: TIMEOUT_MS,
+  headers: { "User-Agent": "paper-grid/1.3", "Content-Type": "application/json" },
+});
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "invalid-url";
+  }
+}
+
+function clip(text) {
+  return text.length > MAX_TEXT ? text.slice(0, MAX_TEXT - 1) + "…" : text;
+}
+
+export function webhookKind(url) {
+  const host = hostOf(url);
+  if (/(^|\.)discord(app)?\.com$/.test(host)) return "discord";
+  if (host === "hooks.slack.com") return "slack";
+  if (host === "api.telegram.org") return "telegram";
+  return "generic";
+}
+
+/** JSON body for one message; events = [{ event, text, ts }] it was built from. */
+export function webhookPayload(url, text, events = []) {
+  const body = clip(text);
+  switch (webhookKind(url)) {
+    case "discord":
+      return { content: body };
+    case "slack":
+      return { text: body };
+    case "telegram":
+      return { chat_id: new URL(url).searchParams.get("chat_id"), text: body, disable_web_page_preview: true };
+    default:
+      return { text: body, content: body, events: events.map((e) => ({ event: e.event, ts: e.ts })) };
+  }
+}
+
+function retryAfterMs(res) {
+  const v = res?.headers?.["retry-after"];
+  if (v == null) return null;
+  const s = Number(v);
+  if (Number.isFinite(s)) return s * 1000;
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+export class Notifier {
+  /** log: (...args) => void, used for delivery failures */
+  constructor({ log = console.log } = {}) {
+    this.log = log;
+    this.opts = { webhooks: [], events: [], digestMs: 0, ratePerMin: 20, retries: 3, backoffMs: 1000 };
+    this.queue = [];      // [{ event, text, ts }] not sent yet
+    this.sentAt = [];     // message timestamps inside the rate window
+    this.timer = null;
+    this.inflight = new Set();
+    this.stats = { queued: 0, sent: 0, failed: 0, retried: 0, dropped: 0, lastError: "", lastSentAt: 0 };
+  }
+
+  /** opts: { webhooks, events, digestMs, ratePerMin, retries, backoffMs } */
+  configure(opts) {
+    const digestChanged = opts.digestMs !== this.opts.digestMs;
+    this.opts = { ...this.opts, ...opts };
+    if (digestChanged && this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.schedule();
+    }
+    return this;
+  }
+
+  enabled(event) {
+    return this.opts.webhooks.length > 0 && this.opts.events.includes(event);
+  }
+
+  notify(event, text) {
+    if (!this.enabled(event)) return;
+    this.queue.push({ event, text, ts: Date.now() });
+    this.stats.queued++;
+    if (this.queue.length > MAX_QUEUE) {
+      this.queue.shift();
+      this.stats.dropped++;
+    }
+    if (this.opts.digestMs > 0) this.schedule();
+    else this.flush();
+  }
+
+  schedule(delayMs = this.opts.digestMs) {
+    if (this.timer || !this.queue.length) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, Math.max(0, delayMs));
+    this.timer.unref?.();
+  }
+
+  /** Send what is queued now (one message), unless the rate limit is used up. */
+  flush() {
+    if (!this.queue.length) return;
+    const now = Date.now();
+    this.sentAt = this.sentAt.filter((t) => now - t < RATE_WINDOW_MS);
+    if (this.sentAt.length >= this.opts.ratePerMin) {
+      this.schedule(this.sentAt[0] + RATE_WINDOW_MS - now);
+      return;
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const events = this.queue.splice(0);
+    const text = events.length === 1
+      ? events[0].text
+      : [`Digest: ${events.length} events`, ...events.map((e) => `• ${e.text}`)].join("\n");
+    this.sentAt.push(now);
+
+    for (const url of this.opts.webhooks) {
+      const p = this.postWithRetry(url, webhookPayload(url, text, events))
+        .finally(() => this.inflight.delete(p));
+      this.inflight.add(p);
+    }
+  }
+
+  async postWithRetry(url, body) {
+    const { retries, backoffMs } = this.opts;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await ax.post(url, body);
+        this.stats.sent++;
+        this.stats.lastSentAt = Date.now();
+        return true;
+      } catch (e) {
+        const status = e?.response?.status;
+        const retryable = status == null || status === 429 || status >= 500;
+        const msg = `${hostOf(url)} ${status ? `HTTP ${status}` : e?.code || e?.message || e}`;
+        if (!retryable || attempt >= retries) {
+          this.stats.failed++;
+          this.stats.lastError = msg;
+          this.log("NOTIFY_FAILED", msg, `after ${attempt + 1} attempt(s)`);
+          return false;
+        }
+        this.stats.retried++;
+        const wait = retryAfterMs(e.response) ?? backoffMs * 2 ** attempt;
+        await sleep(Math.min(wait, MAX_RETRY_WAIT_MS));
+      }
+    }
+  }
+
+  /** Send anything queued (ignoring digest timing) and wait for every POST to settle. */
+  async drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.sentAt = [];
+    this.flush();
+    await Promise.all([...this.inflight]);
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * lib/prices.js — spot price sources (NO JUP) + first-answer / consensus fetch
+ * ------------------------------------------------------------------------------------------------
+ * Sources: BINANCE, CG (CoinGecko), KRAKEN, BIRDEYE (only with BIRDEYE_API_KEY)
+ * Symbols per source come from the grid's asset (ASSET_SYMBOLS in lib/config.js).
+ *
+ * first:     BINANCE -> CG -> KRAKEN -> BIRDEYE, first answer wins (retries with backoff)
+ * consensus: all sources in parallel, outliers beyond maxDeviationPct from the median
+ *            are dropped, the median of the rest is accepted if at least `quorum` remain
+ *
+ * Both record per-source health (latency, ok/error counts, last value, deviation).
+ *
+ * klines:    1m OHLC candles (BINANCE, else KRAKEN) for the gap between two polls, so fills
+ *            can be simulated along the intra-interval path (INTRABAR_FILLS)
+ *
+ * book:      order book depth (BINANCE, else KRAKEN) or ORDER_BOOK_FILE, for SLIPPAGE_MODEL=book
+ */
+
+import axios from "axios";
+import { normalizeBook, readOrderBookFile } from "./slippage.js";
+
+const TIMEOUT_MS = 25_000;
+
+const CG_URL = "https://api.coingecko.com/api/v3/simple/price";
+
+const BINANCE_URL = "https://api.binance.com/api/v3/ticker/price";
+const BINANCE_KLINES_URL = "https://api.binance.com/api/v3/klines";
+const BINANCE_DEPTH_URL = "https://api.binance.com/api/v3/depth";
+
+const KRAKEN_URL = "https://api.kraken.com/0/public/Ticker";
+const KRAKEN_OHLC_URL = "https://api.kraken.com/0/public/OHLC";
+const KRAKEN_DEPTH_URL = "https://api.kraken.com/0/public/Depth";
+
+const BIRDEYE_API_KEY = process.env.BIRDEYE_API_KEY || "";
+const BIRDEYE_URL = "https://public-api.birdeye.so/defi/price";
+
+const ax = axios.create({
+  timeout: TIMEOUT_MS,
+  headers: { "User-Agent": "paper-grid/1.3", Accept: "application/json" },
+});
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// =====================
+// FETCHERS
+// =====================
+async function fetchPriceFromCoinGecko(id) {
+  const r = await ax.get(CG_URL, { params: { ids: id, vs_currencies: "usd" } });
+  const p = Number(r?.data?.[id]?.usd);
+  if (!Number.isFinite(p) || p <= 0) throw new Error("CoinGecko bad price");
+  return p;
+}
+
+async function fetchPriceFromBinance(symbol) {
+  const r = await ax.get(BINANCE_URL, { params: { symbol } });
+  const p = Number(r?.data?.price);
+  if (!Number.isFinite(p) || p <= 0) throw new Error("Binance bad price");
+  return p; // USDT ~ USD
+}
+
+async function fetchPriceFromKraken(pair) {
+  const r = await ax.get(KRAKEN_URL, { params: { pair } });
+  // result key is Kraken's canonical pair name, which can differ from the query
+  const result = r?.data?.result || {};
+  const p = Number((result[pair] ?? Object.values(result)[0])?.c?.[0]);
+  if (!Number.isFinite(p) || p <= 0) throw new Error("Kraken bad price");
+  return p;
+}
+
+async function fetchPriceFromBirdeye(address) {
+  if (!BIRDEYE_API_KEY) throw new Error("No Birdeye key");
+  const r = await ax.get(BIRDEYE_URL, {
+    params: { address },
+    headers: { "X-API-KEY": BIRDEYE_API_KEY },
+  });
+  const p = Number(r?.data?.data?.value);
+  if (!Number.isFinite(p) || p <= 0) throw new Error("Birdeye bad price");
+  return p;
+}
+
+// Enabled sources for these symbols, in priority order
+function sourcesFor(symbols) {
+  return [
+    { name: "BINANCE", fn: fetchPriceFromBinance },
+    { name: "CG", fn: fetchPriceFromCoinGecko },
+    { name: "KRAKEN", fn: fetchPriceFromKraken },
+    ...(BIRDEYE_API_KEY ? [{ name: "BIRDEYE", fn: fetchPriceFromBirdeye }] : []),
+  ].filter((s) => symbols[s.name]);
+}
+
+// =====================
+// SOURCE HEALTH
+// =====================
+// health: { [source]: { okCount, errorCount, latencyMs, lastValue, deviationPct, outlier, lastError, lastOkAt, lastErrorAt } }
+function healthOf(health, name) {
+  return (health[name] ||= {
+    okCount: 0,
+    errorCount: 0,
+    latencyMs: null,
+    lastValue: null,
+    deviationPct: null,
+    outlier: false,
+    lastError: "",
+    lastOkAt: 0,
+    lastErrorAt: 0,
+  });
+}
+
+async function timedFetch(s, symbols, health) {
+  const h = healthOf(health, s.name);
+  const t0 = Date.now();
+  try {
+    const price = await s.fn(symbols[s.name]);
+    h.latencyMs = Date.now() - t0;
+    h.okCount++;
+    h.lastValue = price;
+    h.lastOkAt = Date.now();
+    return price;
+  } catch (e) {
+    h.latencyMs = Date.now() - t0;
+    h.errorCount++;
+    h.lastError = (e?.message || String(e)).slice(0, 120);
+    h.lastErrorAt = Date.now();
+    throw e;
+  }
+}
+
+function median(xs) {
+  const a = [...xs].sort((x, y) => x - y);
+  const m = Math.floor(a.length / 2);
+  return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
+}
+
+// =====================
+// FETCH MODES
+// =====================
+/**
+ * First source that answers, in BINANCE -> CG -> KRAKEN -> BIRDEYE order.
+ * symbols: { BINANCE, CG, KRAKEN, BIRDEYE } (null = skip that source)
+ */
+export async function fetchPriceFirst(symbols, health = {}) {
+  const sources = sourcesFor(symbols);
+  const backoffs = [0, 800, 1600];
+  let lastErr = null;
+
+  for (const waitMs of backoffs) {
+    if (waitMs) await sleep(waitMs);
+    for (const s of sources) {
+      try {
+        const price = await timedFetch(s, symbols, health);
+        return { price, source: s.name };
+      } catch (e) {
+        lastErr = e;
+      }
+    }
+  }
+  throw lastErr || new Error("All sources failed");
+}
+
+/**
+ * Query every source in parallel and accept the median of the non-outliers.
+ * Throws when fewer than `quorum` sources answer, or remain after outlier rejection.
+ */
+export async function fetchPriceConsensus(symbols, { maxDeviationPct, quorum }, health = {}) {
+  const sources = sourcesFor(symbols);
+  const settled = await Promise.allSettled(sources.map((s) => timedFetch(s, symbols, health)));
+
+  const answers = [];
+  const failed = [];
+  settled.forEach((r, i) => {
+    if (r.status === "fulfilled") answers.push({ name: sources[i].name, price: r.value });
+    else failed.push(`${sources[i].name}: ${r.reason?.message || r.reason}`);
+  });
+
+  if (answers.length < quorum) {
+    throw new Error(`Quorum not met: ${answers.length}/${quorum} sources answered (${failed.join("; ")})`);
+  }
+
+  const mid = median(answers.map((a) => a.price));
+  const accepted = [];
+  const rejected = [];
+  for (const a of answers) {
+    const dev = Math.abs(a.price - mid) / mid;
+    const h = healthOf(health, a.name);
+    h.deviationPct = dev;
+    h.outlier = dev > maxDeviationPct;
+    (h.outlier ? rejected : accepted).push(a);
+  }
+
+  if (accepted.length < quorum) {
+    throw new Error(
+      `Quorum not met after outlier rejection: ${accepted.length}/${quorum} within ${(maxDeviationPct * 100).toFixed(2)}% of median ${mid} ` +
+      `(outliers: ${rejected.map((a) => `${a.name}=${a.price}`).join(", ")})`
+    );
+  }
+
+  return {
+    price: median(accepted.map((a) => a.price)),
+    source: `CONSENSUS(${accepted.map((a) => a.name).join("+")})`,
+    rejected: rejected.map((a) => a.name),
+  };
+}
+
+// =====================
+// KLINES (1m OHLC)
+// =====================
+const MINUTE_MS = 60_000;
+
+const validCandle = (c) => [c.open, c.high, c.low, c.close].every((x) => Number.isFinite(x) && x > 0);
+
+async function fetchKlinesFromBinance(symbol, fromMs, toMs) {
+  const r = await ax.get(BINANCE_KLINES_URL, {
+    params: { symbol, interval: "1m", startTime: fromMs, endTime: toMs, limit: 1000 },
+  });
+  if (!Array.isArray(r?.data)) throw new Error("Binance bad klines");
+  // [openTime, open, high, low, close, volume, closeTime, ...]
+  return r.data.map((k) => ({ ts: Number(k[0]), open: Number(k[1]), high: Number(k[2]), low: Number(k[3]), close: Number(k[4]) }));
+}
+
+async function fetchKlinesFromKraken(pair, fromMs) {
+  const r = await ax.get(KRAKEN_OHLC_URL, { params: { pair, interval: 1, since: Math.floor(fromMs / 1000) } });
+  if (r?.data?.error?.length) throw new Error(`Kraken ${r.data.error.join(", ")}`);
+  // result: { <canonical pair>: [[time(s), open, high, low, close, vwap, volume, count]], last }
+  const result = r?.data?.result || {};
+  const key = Object.keys(result).find((k) => k !== "last");
+  if (!key || !Array.isArray(result[key])) throw new Error("Kraken bad OHLC");
+  return result[key].map((k) => ({ ts: Number(k[0]) * 1000, open: Number(k[1]), high: Number(k[2]), low: Number(k[3]), close: Number(k[4]) }));
+}
+
+/**
+ * 1m candles overlapping (fromMs, toMs], oldest first.
+ * source: 'auto' (BINANCE, else KRAKEN) | 'binance' | 'kraken'
+ */
+export async function fetchKlines(symbols, fromMs, toMs, source = "auto") {
+  const sources = [
+    { name: "BINANCE", fn: (sym) => fetchKlinesFromBinance(sym, Math.floor(fromMs / MINUTE_MS) * MINUTE_MS, toMs) },
+    { name: "KRAKEN", fn: (sym) => fetchKlinesFromKraken(sym, fromMs - MINUTE_MS) },
+  ].filter((s) => symbols[s.name] && (source === "auto" || source === s.name.toLowerCase()));
+  if (!sources.length) throw new Error(`No kline source for ${source}`);
+
+  let lastErr = null;
+  for (const s of sources) {
+    try {
+      const candles = (await s.fn(symbols[s.name]))
+        .filter((c) => validCandle(c) && c.ts + MINUTE_MS > fromMs && c.ts <= toMs)
+        .sort((a, b) => a.ts - b.ts);
+      return { source: s.name, candles };
+    } catch (e) {
+      lastErr = e;
+    }
+  }
+  throw lastErr;
+}
+
+// =====================
+// ORDER BOOK
+// =====================
+async function fetchBookFromBinance(symbol, depth) {
+  const r = await ax.get(BINANCE_DEPTH_URL, { params: { symbol, limit: depth } });
+  // { lastUpdateId, bids: [["price", "qty"]], asks: [...] }
+  return normalizeBook(r?.data, "BINANCE", Date.now());
+}
+
+async function fetchBookFromKraken(pair, depth) {
+  const r = await ax.get(KRAKEN_DEPTH_URL, { params: { pair, count: depth } });
+  if (r?.data?.error?.length) throw new Error(`Kraken ${r.data.error.join(", ")}`);
+  // result: { <canonical pair>: { asks: [[price, volume, time]], bids: [...] } }
+  const book = Object.values(r?.data?.result || {})[0];
+  return normalizeBook(book, "KRAKEN", Date.now());
+}
+
+/**
+ * Order book snapshot, depth levels per side. source: 'auto' (BINANCE, else KRAKEN) | 'binance' | 'kraken'
+ */
+export async function fetchOrderBook(symbols, source = "auto", depth = 100) {
+  const sources = [
+    { name: "BINANCE", fn: fetchBookFromBinance },
+    { name: "KRAKEN", fn: fetchBookFromKraken },
+  ].filter((s) => symbols[s.name] && (source === "auto" || source === s.name.toLowerCase()));
+  if (!sources.length) throw new Error(`No order book source for ${source}`);
+
+  let lastErr = null;
+  for (const s of sources) {
+    try {
+      return await s.fn(symbols[s.name], depth);
+    } catch (e) {
+      lastErr = e;
+    }
+  }
+  throw lastErr;
+}
+
+/**
+ * Price path through one candle: O -> L -> H -> C or O -> H -> L -> C.
+ * order 'auto': low first on bullish candles (close >= open), high first on bearish ones.
+ */
+export function candlePath(c, order = "auto") {
+  const lowFirst = order === "low-first" || (order === "auto" && c.close >= c.open);
+  return lowFirst ? [c.open, c.low, c.high, c.close] : [c.open, c.high, c.low, c.close];
+}
+
+/**
+ * Expand bars into a tick path. Candles are walked per INTRABAR_ORDER (candlePath), spread
+ * across the candle's span; { ts, price } bars pass through. Used by the backtest and for
+ * live intra-interval klines.
+ */
+export function barsToTicks(bars, order = "auto") {
+  const ticks = [];
+  for (let i = 0; i < bars.length; i++) {
+    const b = bars[i];
+    if (b.price != null) {
+      ticks.push({ ts: b.ts, price: b.price });
+      continue;
+    }
+    const span = i + 1 < bars.length ? bars[i + 1].ts - b.ts : 0;
+    candlePath(b, order).forEach((price, k) => ticks.push({ ts: b.ts + Math.floor((span * k) / 4), price }));
+  }
+  return ticks;
+}
+
+/**
+ * GridEngine price provider backed by the HTTP sources above. Reads the grid's config on
+ * every call, so PRICE_MODE / INTRABAR_FILLS hot reloads apply on the next poll.
+ */
+export const livePriceFeed = {
+  price(g) {
+    return g.cfg.PRICE_MODE === "consensus"
+      ? fetchPriceConsensus(g.symbols, {
+        maxDeviationPct: g.cfg.CONSENSUS_MAX_DEVIATION_PCT,
+        quorum: g.cfg.CONSENSUS_QUORUM,
+      }, g.sourceHealth)
+      : fetchPriceFirst(g.symbols, g.sourceHealth);
+  },
+  klines(g, fromMs, toMs) {
+    return fetchKlines(g.symbols, fromMs, toMs, g.cfg.INTRABAR_FILLS);
+  },
+  async book(g) {
+    return g.cfg.ORDER_BOOK_SOURCE === "file"
+      ? readOrderBookFile(g.cfg.ORDER_BOOK_FILE)
+      : fetchOrderBook(g.symbols, g.cfg.ORDER_BOOK_SOURCE, g.cfg.ORDER_BOOK_DEPTH);
+  },
+};
@@ -0,0 +1,17 @@
+/**
+ * lib/random.js — seeded randomness for runs that must repeat exactly
+ * ------------------------------------------------------------------------------------------------
+ * Used by the mock exchange (MOCK_SEED) and the scenario generator (--montecarlo --seed).
+ */
+
+/** mulberry32: small seeded PRNG. Returns () -> [0, 1), the same sequence for the same seed. */
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
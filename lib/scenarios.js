@@ -0,0 +1,183 @@
+/**
+ * lib/scenarios.js — synthetic price paths + Monte Carlo stress test of a grid's ladder
+ * ------------------------------------------------------------------------------------------------
+ * Models (log price, rates per year, dt = one step):
+ *   gbm         geometric Brownian motion: drift, vol
+ *   jump        gbm plus Poisson jumps (Merton): jumpsPerDay, each a log move ~ N(jumpMean, jumpVol)
+ *   meanrevert  Ornstein-Uhlenbeck pull back to the start price at revertPerDay, vol
+ *   regime      Markov switching between range (vol / 2, no drift), uptrend (drift + 1, vol) and
+ *               crash (drift - 3, vol * 2); a regime lasts regimeDays on average
+ * Paths are seeded (mulberry32 of seed, model and path number), so a run repeats exactly and one
+ * path doesn't change when --paths does.
+ *
+ * Each path runs through a fresh GridEngine built from the grid's config (no state file, no
+ * ledger file), tick by tick via onPrice like a backtest: same ladder, fills, guard, risk rules.
+ * Per path: return, PnL, worst drawdown (every tick), guard blocking, ladder fully filled, halts.
+ */
+
+import { GridEngine } from "./engine.js";
+import { Ledger } from "./ledger.js";
+import { seededRandom } from "./random.js";
+
+export const SCENARIO_MODELS = ["gbm", "jump", "meanrevert", "regime"];
+
+export const SCENARIO_DEFAULTS = {
+  paths: 100,
+  days: 30,
+  stepMin: 60,
+  seed: 1,
+  start: 150,
+  drift: 0,           // per year, log
+  vol: 0.8,           // per year
+  jumpsPerDay: 0.1,
+  jumpMean: -0.05,
+  jumpVol: 0.08,
+  revertPerDay: 0.2,
+  regimeDays: 7,
+};
+
+const YEAR_DAYS = 365;
+
+// Box-Muller
+function gaussian(rand) {
+  const u = 1 - rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+function poisson(rand, mean) {
+  const limit = Math.exp(-mean);
+  let k = 0;
+  for (let p = rand(); p > limit; p *= rand()) k++;
+  return k;
+}
+
+export function pathSeed(seed, model, path) {
+  return (Math.imul(seed, 0x9e3779b1) ^ Math.imul(SCENARIO_MODELS.indexOf(model) + 1, 0x85ebca6b) ^ Math.imul(path + 1, 0xc2b2ae35)) >>> 0;
+}
+
+/** steps + 1 prices starting at p.start, one per p.stepMin minutes. */
+export function generatePath(model, p, rand) {
+  const steps = Math.round(p.days * 24 * 60 / p.stepMin);
+  const dt = p.stepMin / (60 * 24 * YEAR_DAYS);
+  const home = Math.log(p.start);
+  const regimes = [
+    { drift: p.drift, vol: p.vol / 2 },
+    { drift: p.drift + 1, vol: p.vol },
+    { drift: p.drift - 3, vol: p.vol * 2 },
+  ];
+  let regime = 0;
+
+  const out = [p.start];
+  let x = home;
+  for (let i = 0; i < steps; i++) {
+    const z = gaussian(rand);
+    if (model === "gbm" || model === "jump") {
+      x += (p.drift - p.vol ** 2 / 2) * dt + p.vol * Math.sqrt(dt) * z;
+      if (model === "jump") {
+        for (let n = poisson(rand, p.jumpsPerDay * dt * YEAR_DAYS); n > 0; n--) x += p.jumpMean + p.jumpVol * gaussian(rand);
+      }
+    } else if (model === "meanrevert") {
+      x += p.revertPerDay * YEAR_DAYS * (home - x) * dt + p.vol * Math.sqrt(dt) * z;
+    } else if (model === "regime") {
+      if (rand() < dt * YEAR_DAYS / p.regimeDays) regime = (regime + 1 + Math.floor(rand() * 2)) % 3;
+      const r = regimes[regime];
+      x += (r.drift - r.vol ** 2 / 2) * dt + r.vol * Math.sqrt(dt) * z;
+    } else {
+      throw new Error(`Unknown scenario model: ${model} (have ${SCENARIO_MODELS.join(", ")})`);
+    }
+    out.push(Math.exp(x));
+  }
+  return out;
+}
+
+/** Run one price path through a fresh engine for grid (a loadConfig() grid entry). */
+export function runPath(grid, prices, { stepMs, startMs = Date.UTC(2026, 0, 1) }) {
+  let t = startMs;
+  const g = new GridEngine({ ...grid, clock: () => t, store: null, ledger: new Ledger(null), log: () => {} });
+  const start = g.cfg.START_USD + g.cfg.START_SOL * prices[0];
+  let peak = -Infinity;
+  let maxDrawdownPct = 0;
+  let blockedTicks = 0;
+  let everFull = false;
+
+  for (const price of prices) {
+    g.onPrice(price, "SCENARIO");
+    const pv = g.portfolioValueUsd();
+    peak = Math.max(peak, pv);
+    if (peak > 0) maxDrawdownPct = Math.max(maxDrawdownPct, (peak - pv) / peak);
+    if (g.guardBlocksBuyNext()) blockedTicks++;
+    everFull ||= g.alerts.ladderFull === true;
+    t += stepMs;
+  }
+
+  const pv = g.portfolioValueUsd();
+  const last = prices[prices.length - 1];
+  return {
+    finalPrice: last,
+    pnlUsd: pv - start,
+    returnPct: start > 0 ? pv / start - 1 : null,
+    hodlReturnPct: last / prices[0] - 1,
+    maxDrawdownPct,
+    guardBlockedPct: blockedTicks / prices.length,
+    endFull: g.alerts.ladderFull === true,
+    everFull,
+    halted: (g.stats.halts || 0) > 0,
+    trades: g.stats.trades,
+  };
+}
+
+/** Value at quantile q (0..1) of an ascending list, linear between neighbours. */
+export function percentile(sorted, q) {
+  if (!sorted.length) return null;
+  const i = (sorted.length - 1) * q;
+  const lo = Math.floor(i);
+  return sorted[lo] + (sorted[Math.ceil(i)] - sorted[lo]) * (i - lo);
+}
+
+function distribution(values) {
+  const s = values.filter(Number.isFinite).sort((a, b) => a - b);
+  return {
+    min: s[0] ?? null,
+    p5: percentile(s, 0.05),
+    p25: percentile(s, 0.25),
+    p50: percentile(s, 0.5),
+    p75: percentile(s, 0.75),
+    p95: percentile(s, 0.95),
+    max: s[s.length - 1] ?? null,
+    mean: s.length ? s.reduce((a, b) => a + b, 0) / s.length : null,
+  };
+}
+
+const share = (results, pred) => results.filter(pred).length / results.length;
+
+export function summarize(results) {
+  return {
+    paths: results.length,
+    finalPrice: distribution(results.map((r) => r.finalPrice)),
+    returnPct: distribution(results.map((r) => r.returnPct)),
+    pnlUsd: distribution(results.map((r) => r.pnlUsd)),
+    maxDrawdownPct: distribution(results.map((r) => r.maxDrawdownPct)),
+    trades: distribution(results.map((r) => r.trades)),
+    guardEverBlocked: share(results, (r) => r.guardBlockedPct > 0),
+    guardBlockedPct: results.reduce((a, r) => a + r.guardBlockedPct, 0) / results.length,
+    endFull: share(results, (r) => r.endFull),
+    everFull: share(results, (r) => r.everFull),
+    halted: share(results, (r) => r.halted),
+    beatsHodl: share(results, (r) => r.returnPct > r.hodlReturnPct),
+  };
+}
+
+/**
+ * Monte Carlo of one model for grid: params over SCENARIO_DEFAULTS.
+ * Returns { model, params, results: per path, summary }.
+ */
+export function monteCarlo(grid, model, params = {}) {
+  const p = { ...SCENARIO_DEFAULTS, ...params };
+  if (!SCENARIO_MODELS.includes(model)) throw new Error(`Unknown scenario model: ${model} (have ${SCENARIO_MODELS.join(", ")})`);
+  const results = [];
+  for (let i = 0; i < p.paths; i++) {
+    const prices = generatePath(model, p, seededRandom(pathSeed(p.seed, model, i)));
+    results.push(runPath(grid, prices, { stepMs: p.stepMin * 60_000 }));
+  }
+  return { model, params: p, results, summary: summarize(results) };
+}
@@ -0,0 +1,80 @@
+/**
+ * lib/slippage.js — fill price slippage (SLIPPAGE_MODEL) from order book depth or a parametric model
+ * ------------------------------------------------------------------------------------------------
+ *   fixed       SIM_SLIPPAGE_PCT on every fill, whatever its size (the original model)
+ *   parametric  SLIPPAGE_FIXED_BPS + SLIPPAGE_IMPACT_BPS per $1000 of notional
+ *   book        walk an order book snapshot for the fill's quantity: buys take asks, sells hit bids,
+ *               slippage = volume-weighted price vs the book's mid. The book only gives the shape of
+ *               the depth; the percent is applied to the grid's own reference price (rung, last price).
+ *               Falls back to parametric without a book, with one older than ORDER_BOOK_MAX_AGE_MS,
+ *               or when the book is too thin for the order.
+ *
+ * Book: { ts, source, bids: [[price, qty], ...] best first, asks: [[price, qty], ...] best first }.
+ * Live books come from BINANCE / KRAKEN depth endpoints (lib/prices.js fetchOrderBook), fixtures
+ * from ORDER_BOOK_FILE: JSON { bids, asks } with [price, qty] levels as numbers or strings
+ * (a saved Binance /depth response works as is).
+ */
+
+import fs from "fs";
+
+/** Sorted numeric book from raw levels; throws when a side is empty or crossed. */
+export function normalizeBook(raw, source, ts) {
+  const side = (levels, dir) => (Array.isArray(levels) ? levels : [])
+    .map((l) => [Number(l[0]), Number(l[1])])
+    .filter(([p, q]) => Number.isFinite(p) && p > 0 && Number.isFinite(q) && q > 0)
+    .sort((a, b) => dir * (a[0] - b[0]));
+  const bids = side(raw?.bids, -1);
+  const asks = side(raw?.asks, 1);
+  if (!bids.length || !asks.length) throw new Error(`${source}: order book needs bids and asks`);
+  if (bids[0][0] >= asks[0][0]) throw new Error(`${source}: order book is crossed (bid ${bids[0][0]} >= ask ${asks[0][0]})`);
+  return { ts, source, bids, asks };
+}
+
+export function readOrderBookFile(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return normalizeBook(raw, `file ${file}`, null); // a fixture never goes stale
+}
+
+/**
+ * Take qty from levels (best first). Returns { vwap, levels } or null when the book runs out.
+ */
+export function walkBook(levels, qty) {
+  let left = qty;
+  let cost = 0;
+  let used = 0;
+  for (const [price, size] of levels) {
+    const take = Math.min(left, size);
+    cost += take * price;
+    left -= take;
+    used++;
+    if (left <= qty * 1e-12) return { vwap: cost / qty, levels: used };
+  }
+  return null;
+}
+
+export function parametricPct(cfg, usd) {
+  return (cfg.SLIPPAGE_FIXED_BPS + cfg.SLIPPAGE_IMPACT_BPS * usd / 1000) / 10_000;
+}
+
+/**
+ * Slippage of one fill: side 'BUY'|'SELL' of about usd notional at refPrice.
+ * Returns { model, pct, levels?, fallback? }; the fill price is refPrice * (1 +/- pct).
+ */
+export function slippageFor(cfg, book, side, refPrice, usd, now) {
+  const model = cfg.SLIPPAGE_MODEL || "fixed";
+  if (model === "fixed") return { model, pct: cfg.SIM_SLIPPAGE_PCT };
+  if (model === "parametric") return { model, pct: parametricPct(cfg, usd) };
+
+  const parametric = (fallback) => ({ model: "parametric", pct: parametricPct(cfg, usd), fallback });
+  if (!book) return parametric("no order book");
+  if (book.ts && cfg.ORDER_BOOK_MAX_AGE_MS > 0 && now - book.ts > cfg.ORDER_BOOK_MAX_AGE_MS) {
+    return parametric(`order book ${Math.round((now - book.ts) / 1000)}s old`);
+  }
+  if (!(usd > 0)) return { model, pct: 0, levels: 0 };
+
+  const mid = (book.bids[0][0] + book.asks[0][0]) / 2;
+  const walk = walkBook(side === "BUY" ? book.asks : book.bids, usd / refPrice);
+  if (!walk) return parametric(`order book too thin for $${Math.round(usd)}`);
+  const pct = side === "BUY" ? walk.vwap / mid - 1 : 1 - walk.vwap / mid;
+  return { model, pct, levels: walk.levels };
+}
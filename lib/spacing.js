@@ -0,0 +1,112 @@
+/**
+ * lib/spacing.js — ladder spacing (LADDER_SPACING) + realized volatility of the price history
+ * ------------------------------------------------------------------------------------------------
+ * Rung i (1 = closest to the anchor a), buys shown; sells mirror it upward with SELL_STEP_*:
+ *   percent     a * (1 - BUY_STEP_PCT * i)     linear percent of the anchor (the original ladder)
+ *   arithmetic  a - BUY_STEP_USD * i           fixed USD steps
+ *   geometric   a * (1 - BUY_STEP_PCT) ** i    each rung a fixed percent below the previous one
+ *   volatility  geometric, with step = clamp(VOL_BUY_MULT * vol, VOL_MIN_STEP_PCT, VOL_MAX_STEP_PCT)
+ *
+ * vol is measured per VOL_BAR_MS bar over the last VOL_LOOKBACK_BARS completed bars:
+ *   stdev  standard deviation of log returns of bar closes
+ *   atr    average true range / previous close
+ * Until MIN_VOL_BARS bars exist the volatility mode falls back to geometric BUY/SELL_STEP_PCT.
+ *
+ * Spacing: { mode, unit: 'pct'|'usd', buyStep, sellStep, compound, vol?, fallback?, label }
+ * It is fixed when the ladder is built; paired take-profits and rebuys step by the same amount.
+ */
+
+const MIN_VOL_BARS = 8;
+
+/** Fold one price into OHLC bars of barMs; keeps the last maxBars. */
+export function addPriceBar(bars, ts, price, barMs, maxBars) {
+  const start = Math.floor(ts / barMs) * barMs;
+  const last = bars[bars.length - 1];
+  if (last && last.ts === start) {
+    last.high = Math.max(last.high, price);
+    last.low = Math.min(last.low, price);
+    last.close = price;
+  } else if (!last || start > last.ts) {
+    bars.push({ ts: start, open: price, high: price, low: price, close: price });
+  }
+  return bars.length > maxBars ? bars.slice(-maxBars) : bars;
+}
+
+function stdevOfLogReturns(bars) {
+  const rets = [];
+  for (let i = 1; i < bars.length; i++) rets.push(Math.log(bars[i].close / bars[i - 1].close));
+  const m = rets.reduce((a, b) => a + b, 0) / rets.length;
+  return Math.sqrt(rets.reduce((a, r) => a + (r - m) ** 2, 0) / rets.length);
+}
+
+function atrPct(bars) {
+  let sum = 0;
+  for (let i = 1; i < bars.length; i++) {
+    const { high, low } = bars[i];
+    const prev = bars[i - 1].close;
+    sum += Math.max(high - low, Math.abs(high - prev), Math.abs(low - prev)) / prev;
+  }
+  return sum / (bars.length - 1);
+}
+
+/**
+ * Volatility per bar over the completed bars (the last, in-progress bar is left out).
+ * Returns { method, value, bars } or null without enough history.
+ */
+export function barVolatility(bars, method, lookback) {
+  const done = bars.slice(0, -1).slice(-(lookback + 1));
+  if (done.length - 1 < Math.min(MIN_VOL_BARS, lookback)) return null;
+  const value = method === "stdev" ? stdevOfLogReturns(done) : atrPct(done);
+  return Number.isFinite(value) ? { method, value, bars: done.length - 1 } : null;
+}
+
+function clamp(x, lo, hi) {
+  return Math.min(hi, Math.max(lo, x));
+}
+
+function fmtStep(unit, step) {
+  return unit === "usd" ? `$${step.toFixed(4)}` : `${(step * 100).toFixed(2)}%`;
+}
+
+/** Spacing for a ladder built now, from config + price bars (volatility mode only). */
+export function spacingFor(cfg, bars = []) {
+  const mode = cfg.LADDER_SPACING || "percent";
+  let sp;
+  if (mode === "arithmetic") {
+    sp = { mode, unit: "usd", buyStep: cfg.BUY_STEP_USD, sellStep: cfg.SELL_STEP_USD, compound: false };
+  } else if (mode === "volatility") {
+    const vol = barVolatility(bars, cfg.VOL_METHOD, cfg.VOL_LOOKBACK_BARS);
+    sp = vol
+      ? {
+        mode, unit: "pct", compound: true, vol,
+        buyStep: clamp(cfg.VOL_BUY_MULT * vol.value, cfg.VOL_MIN_STEP_PCT, cfg.VOL_MAX_STEP_PCT),
+        sellStep: clamp(cfg.VOL_SELL_MULT * vol.value, cfg.VOL_MIN_STEP_PCT, cfg.VOL_MAX_STEP_PCT),
+      }
+      : {
+        mode, unit: "pct", compound: true, buyStep: cfg.BUY_STEP_PCT, sellStep: cfg.SELL_STEP_PCT,
+        fallback: `not enough history (${Math.max(0, bars.length - 2)}/${Math.min(MIN_VOL_BARS, cfg.VOL_LOOKBACK_BARS)} bars), using BUY/SELL_STEP_PCT`,
+      };
+  } else {
+    sp = { mode, unit: "pct", buyStep: cfg.BUY_STEP_PCT, sellStep: cfg.SELL_STEP_PCT, compound: mode === "geometric" };
+  }
+
+  sp.label = `${mode} ${fmtStep(sp.unit, sp.buyStep)} / ${fmtStep(sp.unit, sp.sellStep)}` +
+    (sp.vol ? ` (${sp.vol.method} ${(sp.vol.value * 100).toFixed(3)}% over ${sp.vol.bars} bars)` : "") +
+    (sp.fallback ? ` (${sp.fallback})` : "");
+  return sp;
+}
+
+/** Price of rung i (1-based) below (side 'buy') or above (side 'sell') anchor a. */
+export function rungPrice(a, sp, side, i) {
+  const step = side === "buy" ? sp.buyStep : sp.sellStep;
+  const dir = side === "buy" ? -1 : 1;
+  if (sp.unit === "usd") return a + dir * step * i;
+  return sp.compound ? a * (1 + dir * step) ** i : a * (1 + dir * step * i);
+}
+
+/** One step up (sell side) or down (buy side) from price p: take-profit / rebuy targets. */
+export function stepFrom(p, sp, side) {
+  const step = side === "buy" ? sp.buyStep : sp.sellStep;
+  const dir = side === "buy" ? -1 : 1;
+  return sp.unit === "usd" ? p + dir * step : p * (1 + dir * step);
+}
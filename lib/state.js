@@ -0,0 +1,203 @@
+/**
+ * lib/state.js — state stores for GridEngine + state schema (version, migrations, validation)
+ * ------------------------------------------------------------------------------------------------
+ * A store is { load() -> state object | null, save(state) }. load() returns null when there is
+ * no state yet and throws on a file that can't be read or parsed.
+ *   fileStateStore(file, opts)  JSON file (STATE_FILE), pretty-printed. Saves are atomic: written
+ *                               to <file>.<pid>.tmp, fsynced, renamed over the file, so a crash
+ *                               mid-save leaves the previous state. Before the first save and then
+ *                               every opts.backupMs the current file is copied to <file>.bak.1
+ *                               (older copies shift to .bak.2 ... .bak.<opts.backups>).
+ *   memoryStateStore(init)      in memory, for tests and scripts; `state` holds the last save
+ *
+ * Saved state carries schemaVersion. On load the engine runs migrateState (older versions are
+ * upgraded step by step; files from before versioning are version 1) and validateState, which
+ * throws on anything it can't trust. A bad state file stops the bot instead of silently
+ * starting a fresh account over it.
+ */
+
+import fs from "fs";
+
+export const STATE_SCHEMA_VERSION = 2;
+
+/** Existing backups of file, newest first. */
+export function backupFiles(file, max = 50) {
+  const out = [];
+  for (let i = 1; i <= max && fs.existsSync(`${file}.bak.${i}`); i++) out.push(`${file}.bak.${i}`);
+  return out;
+}
+
+function rotateBackups(file, keep) {
+  if (!fs.existsSync(file)) return;
+  fs.rmSync(`${file}.bak.${keep}`, { force: true });
+  for (let i = keep - 1; i >= 1; i--) {
+    if (fs.existsSync(`${file}.bak.${i}`)) fs.renameSync(`${file}.bak.${i}`, `${file}.bak.${i + 1}`);
+  }
+  fs.copyFileSync(file, `${file}.bak.1`);
+}
+
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+export function fileStateStore(file, { backups = 5, backupMs = 3_600_000, now = Date.now } = {}) {
+  let lastBackupAt = null; // null = not yet this run: back up what's on disk before overwriting it
+  return {
+    file,
+    load() {
+      if (!fs.existsSync(file)) return null;
+      const text = fs.readFileSync(file, "utf8");
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        throw new Error(`not valid JSON (${e.message})`);
+      }
+    },
+    save(state) {
+      if (backups > 0 && (lastBackupAt === null || now() - lastBackupAt >= backupMs)) {
+        rotateBackups(file, backups);
+        lastBackupAt = now();
+      }
+      writeAtomic(file, JSON.stringify(state, null, 2));
+    },
+  };
+}
+
+export function memoryStateStore(initial = null) {
+  return {
+    state: initial,
+    load() {
+      return this.state ? structuredClone(this.state) : null;
+    },
+    save(state) {
+      this.state = structuredClone(state);
+    },
+  };
+}
+
+// =====================
+// MIGRATIONS
+// =====================
+// older state files: rungs were { price, state } only
+function normalizeRung(r, side, i) {
+  return {
+    id: r.id ?? `${side}${i + 1}`,
+    price: r.price,
+    state: r.state === "FILLED" ? "FILLED" : "WAIT",
+    fills: r.fills ?? (r.state === "FILLED" ? 1 : 0),
+    pairedPosId: r.pairedPosId ?? null,
+    ...(r.rebuyPrice != null ? { rebuyPrice: r.rebuyPrice } : {}),
+    ...(r.skip ? { skip: r.skip } : {}),
+    ...(r.step != null ? { step: r.step, stepPct: r.stepPct } : {}),
+    ...(r.size ? { size: r.size } : {}),
+  };
+}
+
+// MIGRATIONS[v] upgrades a version v state to v + 1
+const MIGRATIONS = {
+  // 1 -> 2: unversioned files. Rungs get ids / fill counts, the HODL benchmark starts at the
+  // running anchor if the file predates it.
+  1(s) {
+    const rungs = (list, side) => (Array.isArray(list) ? list.map((r, i) => normalizeRung(r ?? {}, side, i)) : list);
+    return {
+      ...s,
+      ladderBuys: rungs(s.ladderBuys, "B"),
+      ladderSells: rungs(s.ladderSells, "S"),
+      hodlRef: s.hodlRef ?? (s.anchor ? { price: s.anchor, at: s.anchorSetAt || s.savedAt || 0 } : null),
+    };
+  },
+};
+
+/** Upgrade a loaded state to STATE_SCHEMA_VERSION. Throws on versions this code doesn't know. */
+export function migrateState(s) {
+  let v = s?.schemaVersion ?? 1;
+  if (!Number.isInteger(v) || v < 1) throw new Error(`schemaVersion ${JSON.stringify(s.schemaVersion)} is not valid`);
+  if (v > STATE_SCHEMA_VERSION) {
+    throw new Error(`schemaVersion ${v} is newer than this version of the bot understands (${STATE_SCHEMA_VERSION})`);
+  }
+  for (; v < STATE_SCHEMA_VERSION; v++) s = MIGRATIONS[v](s);
+  return { ...s, schemaVersion: v };
+}
+
+// =====================
+// VALIDATION
+// =====================
+const isNum = (x) => typeof x === "number" && Number.isFinite(x);
+const isObj = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+const EPS = 1e-9; // float dust on balances that were spent down to zero
+
+/**
+ * Check a migrated state before the engine trusts it; returns it or throws listing every
+ * problem. expect: { gridId, asset } of the engine loading it (a state file of another grid or
+ * asset is refused).
+ */
+export function validateState(s, expect = {}) {
+  const errs = [];
+  if (!isObj(s)) throw new Error("state is not an object");
+
+  if (expect.gridId && s.gridId != null && s.gridId !== expect.gridId) {
+    errs.push(`belongs to grid ${s.gridId}, not ${expect.gridId}`);
+  }
+  if (expect.asset && s.asset != null && s.asset !== expect.asset) {
+    errs.push(`holds ${s.asset}, this grid trades ${expect.asset}`);
+  }
+
+  if (!isObj(s.balances) || !isNum(s.balances.usd) || !isNum(s.balances.sol)) {
+    errs.push(`balances must be { usd, sol } numbers, got ${JSON.stringify(s.balances)}`);
+  } else if (s.balances.usd < -EPS || s.balances.sol < -EPS) {
+    errs.push(`balances are negative: usd ${s.balances.usd}, sol ${s.balances.sol}`);
+  }
+  if (s.anchor != null && !(isNum(s.anchor) && s.anchor > 0)) errs.push(`anchor ${JSON.stringify(s.anchor)} is not a positive number`);
+
+  for (const key of ["openPositions", "trades", "ladderBuys", "ladderSells", "sellSkips", "volBars", "equity", "orders", "orderEvents"]) {
+    if (s[key] != null && !Array.isArray(s[key])) errs.push(`${key} is not a list`);
+  }
+  for (const key of ["stats", "risk", "spacing", "hodlRef", "pause", "halt"]) {
+    if (s[key] != null && !isObj(s[key])) errs.push(`${key} is not an object`);
+  }
+
+  const ids = new Set();
+  (Array.isArray(s.openPositions) ? s.openPositions : []).forEach((p, i) => {
+    const where = `openPositions[${i}]`;
+    if (!isObj(p)) return errs.push(`${where} is not an object`);
+    if (!Number.isInteger(p.id)) errs.push(`${where}.id ${JSON.stringify(p.id)} is not an integer`);
+    else if (ids.has(p.id)) errs.push(`${where}.id ${p.id} is used twice`);
+    ids.add(p.id);
+    if (!(isNum(p.entryPrice) && p.entryPrice > 0)) errs.push(`${where}.entryPrice ${JSON.stringify(p.entryPrice)} is not a positive number`);
+    if (!(isNum(p.qtySol) && p.qtySol > 0)) errs.push(`${where}.qtySol ${JSON.stringify(p.qtySol)} is not a positive number`);
+    if (!isNum(p.costUsd)) errs.push(`${where}.costUsd ${JSON.stringify(p.costUsd)} is not a number`);
+  });
+  if (s.nextId != null) {
+    if (!Number.isInteger(s.nextId)) errs.push(`nextId ${JSON.stringify(s.nextId)} is not an integer`);
+    else if (ids.size && s.nextId <= Math.max(...ids)) errs.push(`nextId ${s.nextId} would reuse an open position id`);
+  }
+
+  for (const key of ["ladderBuys", "ladderSells"]) {
+    (Array.isArray(s[key]) ? s[key] : []).forEach((r, i) => {
+      if (!isObj(r) || !(isNum(r.price) && r.price > 0)) errs.push(`${key}[${i}].price is not a positive number`);
+      else if (r.state !== "WAIT" && r.state !== "FILLED") errs.push(`${key}[${i}].state ${JSON.stringify(r.state)} is not WAIT or FILLED`);
+    });
+  }
+
+  if (isObj(s.stats)) {
+    for (const [k, v] of Object.entries(s.stats)) {
+      if (v !== null && !isNum(v)) errs.push(`stats.${k} ${JSON.stringify(v)} is not a number`);
+    }
+  }
+
+  if (errs.length) throw new Error(`state is not valid:\n  - ${errs.join("\n  - ")}`);
+  return s;
+}
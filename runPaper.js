@@ -2,486 +2,158 @@
  * runPaper.js — DARK LADDER UI + % GRID (ASYMMETRIC) + RELIABLE PRICE (NO JUP) + MICRO-SEED (PAPER)
  * ------------------------------------------------------------------------------------------------
  * Price sources (no Jupiter): BINANCE -> COINGECKO -> KRAKEN -> (optional) BIRDEYE
+ *   PRICE_MODE=consensus: all sources in parallel, outliers dropped, quorum required (lib/prices.js)
  * Strategy:
- *   ✅ Percent spacing
+ *   ✅ Spacing: linear percent, fixed USD, geometric, or volatility-adaptive (ATR / stdev)
  *   ✅ Asymmetric steps (buys wider, sells tighter)
  *   ✅ Packets + guard
+ *   ✅ Sizing: fixed USD, fixed qty or % of equity, deeper rungs weighted, exposure cap, partial sells
  *   ✅ Paper micro-seed (one-time starter inventory) so sells can happen without waiting for a dip
+ *   ✅ Optional re-centering anchor (ladder follows the market on drift / age)
+ *   ✅ Paired rung re-arming (buy rung N -> sell one step up -> buy rung N re-arms)
+ *   ✅ Maker/taker fees (pct and/or flat) on every paper fill; fee-aware PnL + breakeven
+ *   ✅ Slippage: fixed %, parametric (bps + size impact) or walked through order book depth
+ *   ✅ Optional on-chain execution: fills priced as swaps on a constant-product or concentrated
+ *      liquidity pool (snapshot file or derived from the price) with LP fee tier and price impact
+ *   ✅ Rungs as limit orders (NEW / PARTIALLY_FILLED / FILLED / CANCELLED / REJECTED) on an exchange
+ *      adapter: paper (instant fills) or a mock venue with latency, partial fills and rejections
+ *   ✅ Lot matching for sells (paired / FIFO / LIFO / highest-cost) + optional min profit per lot
+ *   ✅ Optional intra-interval fills: 1m klines since the last poll are walked before each price
+ *   ✅ Several independent grids per process (SOL, JUP, BONK, or two SOL spacings)
+ *   ✅ Operator controls: pause/resume fills, reset, rebuild at anchor, manual buy/sell, close all
+ *   ✅ Risk rules: per-lot stop-loss, drawdown stop, daily loss limit, trend-break buy halt -> HALTED
+ *   ✅ Equity curve + performance metrics, benchmarked against HODL from the first anchor
+ *   ✅ Price chart (inline SVG): recent prices with rung lines by state, anchor, breakeven, open
+ *      lots and buy/sell fill markers with trade tooltips
+ *   ✅ Webhook notifications (Discord / Slack / Telegram): fills, micro-seed, guard blocking,
+ *      ladder fully filled, price outage; per-event toggles, rate limit, retries, digest mode
  *
  * Run:
  *   node runPaper.js
  *
+ * Backtest (no server, no price fetches, never touches STATE_FILE):
+ *   node runPaper.js --backtest ./prices.csv [--grid <id>]
+ *   npm run backtest -- ./prices.jsonl
+ *   File: CSV (header row) or JSONL with timestamp + price, or OHLC candles
+ *   (timestamp, open, high, low, close). Timestamps: ISO string, unix s or unix ms.
+ *   Every configured grid (or only --grid) replays the same series.
+ *
+ * Monte Carlo stress test (synthetic paths through the same engine, no server, no state):
+ *   node runPaper.js --montecarlo [gbm,jump,meanrevert,regime] [--grid <id>] [--paths 100]
+ *     [--days 30] [--step-min 60] [--seed 1] [--start 150] [--drift 0] [--vol 0.8]
+ *     [--jumps-per-day 0.1] [--jump-mean -0.05] [--jump-vol 0.08] [--revert-per-day 0.2] [--regime-days 7]
+ *   npm run montecarlo -- jump --paths 500
+ *   Drift and vol are per year. Prints per model: return / PnL / drawdown percentiles, how often
+ *   the guard blocks, the ladder ends fully filled, a risk rule halts and the grid beats HODL.
+ *
+ * Webhook test (sends one message per grid to NOTIFY_WEBHOOKS, then exits):
+ *   NOTIFY_WEBHOOKS=http://localhost:9000/hook node runPaper.js --notify-test
+ *
+ * Engine (lib/engine.js): GridEngine holds the ladder, execution, guard, risk and stats and
+ * takes config, clock, state store and price provider as inputs; this file is the runner
+ * (HTTP server, dashboard, tick loop, backtest). Unit tests: npm test
+ *
  * Render:
  *   Start command: node runPaper.js
  *   Uses PORT env if present, else 3000.
+ *   SIGTERM / SIGINT save every grid's state before exit.
+ *
+ * State (lib/state.js): STATE_FILE is written atomically with a schemaVersion and rotating
+ * backups (STATE_FILE.bak.N). The bot refuses to start on a state file it can't parse or
+ * validate instead of starting over with a fresh account.
+ *
+ * Config (see lib/config.js):
+ *   node runPaper.js --config ./paper.config.yaml
+ *   ./paper.config.json|yaml is picked up automatically; any key can be overridden by env.
+ *   Edits to the file are hot-reloaded; /status config shows each value's source.
+ *   A GRIDS list in the file runs one grid per entry (own asset, config, state file, ladder).
+ *
+ * HTTP:
+ *   /               dashboard (one grid) or overview of all grids
+ *   /grid/:id       dashboard of one grid
+ *   /status         JSON of the first grid
+ *   /status/:id     JSON of one grid
+ *   /overview       JSON summary of all grids + summed portfolio value
+ *   /equity/:id     equity curve samples + performance (drawdown, Sharpe/Sortino, win rate, vs HODL)
+ *   /chart/:id      price chart data: recent prices, rungs, anchor, breakeven, open lots, fills
+ *   /metrics        Prometheus text format (prices, balances, PnL, trades, source health, tick age)
+ *   /events/:id     live Server-Sent Events (status, tick, fill, ladder, order, price-error); the dashboard uses it
+ *   /trades/:id     full trade ledger, paginated: ?side=BUY,SELL&from=&to=&offset=&limit=&order=asc
+ *   /trades/:id/export.csv|export.json   same filters, whole result as a download
+ *   POST /control/:id/:action   operator actions (needs CONTROL_TOKEN, see handleControl):
+ *                   pause | resume | reset | rebuild | buy | sell | close-all | clear-halt
  *
  * Optional ENV:
  *   BIRDEYE_API_KEY=xxxx
+ *   CONTROL_TOKEN=xxxx   enables the control API + dashboard controls
  */
 
-import axios from "axios";
 import http from "http";
 import fs from "fs";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import { loadConfig, watchConfig } from "./lib/config.js";
+import { barsToTicks } from "./lib/prices.js";
+import { Ledger, ledgerToCsv } from "./lib/ledger.js";
+import { readOrderBookFile } from "./lib/slippage.js";
+import { monteCarlo, SCENARIO_MODELS, SCENARIO_DEFAULTS } from "./lib/scenarios.js";
+import { renderMetrics, METRICS_CONTENT_TYPE } from "./lib/metrics.js";
+import { GridEngine } from "./lib/engine.js";
 
 // =====================
 // CONFIG
 // =====================
-const TIMEOUT_MS = 25_000;
-const TICK_MS = 30_000;
-const UI_REFRESH_HINT_MS = 3000;
-
-const BUY_PACKETS = 6;
-const SELL_PACKETS = 6;
+const UI_REFRESH_HINT_MS = 3000; // dashboard polling, only when the event stream is down
+const SSE_HEARTBEAT_MS = 15_000;
+const SHUTDOWN_DRAIN_MS = 5000; // on SIGTERM/SIGINT: wait this long for queued webhooks
 
-const LEVELS_EACH_SIDE = 10;
-
-// Grid spacing (your chosen #1 + #2)
-const BUY_STEP_PCT = 0.008;   // 0.8% between buy rungs (wider)
-const SELL_STEP_PCT = 0.006;  // 0.6% between sell rungs (tighter)
-
-// Per-rung notional for normal fills (paper)
-const ORDER_NOTIONAL_USD = 25;
-
-// ✅ Paper micro-seed: one-time starter inventory
-// Set to 0 to disable.
-const MICRO_SEED_USD = 25;
-
-// Starting balances (paper)
-const START_USD = 1000;
-const START_SOL = 0;
-
-// Optional paper slippage
-const SIM_SLIPPAGE_PCT = 0.0;
+// Strategy params (BUY_STEP_PCT, SELL_PACKETS, TICK_MS, STATE_FILE, ...) live in
+// lib/config.js: defaults <- paper.config.json|yaml <- env <- GRIDS entry. See CONFIG_SCHEMA there.
+let configFile = null;
 
 // Server
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 
-// Persistence
-const STATE_FILE = "./paper_state_dark.json";
-
-// =====================
-// PRICE SOURCES (NO JUP)
-// =====================
-const CG_URL =
-  "https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd";
-
-const BINANCE_URL =
-  "https://api.binance.com/api/v3/ticker/price?symbol=SOLUSDT";
-
-const KRAKEN_URL =
-  "https://api.kraken.com/0/public/Ticker?pair=SOLUSD";
-
-const BIRDEYE_API_KEY = process.env.BIRDEYE_API_KEY || "";
-const BIRDEYE_URL =
-  "https://public-api.birdeye.so/defi/price?address=So11111111111111111111111111111111111111112";
-
-const ax = axios.create({
-  timeout: TIMEOUT_MS,
-  headers: { "User-Agent": "paper-grid/1.3", Accept: "application/json" },
-});
+// Operator control API (POST /control/...): off unless set; sent as "Authorization: Bearer <token>"
+const CONTROL_TOKEN = process.env.CONTROL_TOKEN || "";
 
 // =====================
 // STATE
 // =====================
-let anchor = null;
-let nowPrice = null;
-let priceSource = "N/A";
-let lastTickAt = 0;
-let lastPriceError = "";
-
-let openPositions = []; // [{ id, entryPrice, qtySol, costUsd, openedAt, microSeed? }]
-let trades = [];        // last 10 trades [{ ts, side, price, qtySol, pnlUsd?, note? }]
-
-let ladderBuys = [];    // [{ price, state:'WAIT'|'FILLED' }]
-let ladderSells = [];   // [{ price, state:'WAIT'|'FILLED' }]
-
-let balances = { usd: START_USD, sol: START_SOL };
-
-let stats = {
-  trades: 0,
-  buys: 0,
-  sells: 0,
-  realizedPnlUsd: 0,
-  avgEntry: null,
-};
+// Per-grid state lives on each GridEngine (lib/engine.js); this file only runs them.
+let grids = [];
 
-let nextId = 1;
+// Simulated clock (backtest). null = wall clock.
+let simClockMs = null;
+
+const STARTED_AT = Date.now();
 
 // =====================
 // UTIL
 // =====================
+function nowMs() {
+  return simClockMs ?? Date.now();
+}
 function iso() {
-  return new Date().toISOString();
+  return new Date(nowMs()).toISOString();
 }
 function round(n, dp = 2) {
   if (!Number.isFinite(n)) return n;
   const m = 10 ** dp;
   return Math.round(n * m) / m;
 }
+function pct(x) {
+  return x != null ? (x * 100).toFixed(2) + "%" : "—";
+}
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-// =====================
-// SAVE / LOAD
-// =====================
-function loadState() {
-  try {
-    if (!fs.existsSync(STATE_FILE)) return;
-    const s = JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
-
-    anchor = s.anchor ?? anchor;
-    nowPrice = s.nowPrice ?? nowPrice;
-    priceSource = s.priceSource ?? priceSource;
-    lastTickAt = s.lastTickAt ?? lastTickAt;
-    lastPriceError = s.lastPriceError ?? lastPriceError;
-
-    openPositions = Array.isArray(s.openPositions) ? s.openPositions : openPositions;
-    trades = Array.isArray(s.trades) ? s.trades : trades;
-
-    ladderBuys = Array.isArray(s.ladderBuys) ? s.ladderBuys : ladderBuys;
-    ladderSells = Array.isArray(s.ladderSells) ? s.ladderSells : ladderSells;
-
-    balances = s.balances ?? balances;
-    stats = s.stats ?? stats;
-    nextId = s.nextId ?? nextId;
-
-    console.log(iso(), "STATE_LOADED");
-  } catch (e) {
-    console.log(iso(), "STATE_LOAD_FAILED", e?.message || e);
-  }
-}
-
-function saveState() {
-  try {
-    const s = {
-      anchor,
-      nowPrice,
-      priceSource,
-      lastTickAt,
-      lastPriceError,
-      openPositions,
-      trades,
-      ladderBuys,
-      ladderSells,
-      balances,
-      stats,
-      nextId,
-      savedAt: Date.now(),
-    };
-    fs.writeFileSync(STATE_FILE, JSON.stringify(s, null, 2));
-  } catch (e) {
-    console.log(iso(), "STATE_SAVE_FAILED", e?.message || e);
-  }
-}
-
-// =====================
-// PRICE FETCHERS
-// =====================
-async function fetchPriceFromCoinGecko() {
-  const r = await ax.get(CG_URL);
-  const p = Number(r?.data?.solana?.usd);
-  if (!Number.isFinite(p) || p <= 0) throw new Error("CoinGecko bad price");
-  return p;
-}
-
-async function fetchPriceFromBinance() {
-  const r = await ax.get(BINANCE_URL);
-  const p = Number(r?.data?.price);
-  if (!Number.isFinite(p) || p <= 0) throw new Error("Binance bad price");
-  return p; // USDT ~ USD
-}
-
-async function fetchPriceFromKraken() {
-  const r = await ax.get(KRAKEN_URL);
-  const pair = r?.data?.result?.SOLUSD;
-  const p = Number(pair?.c?.[0]);
-  if (!Number.isFinite(p) || p <= 0) throw new Error("Kraken bad price");
-  return p;
-}
-
-async function fetchPriceFromBirdeye() {
-  if (!BIRDEYE_API_KEY) throw new Error("No Birdeye key");
-  const r = await ax.get(BIRDEYE_URL, {
-    headers: { "X-API-KEY": BIRDEYE_API_KEY },
-  });
-  const p = Number(r?.data?.data?.value);
-  if (!Number.isFinite(p) || p <= 0) throw new Error("Birdeye bad price");
-  return p;
-}
-
-async function fetchSolPriceRobust() {
-  const sources = [
-    { name: "BINANCE", fn: fetchPriceFromBinance },
-    { name: "CG", fn: fetchPriceFromCoinGecko },
-    { name: "KRAKEN", fn: fetchPriceFromKraken },
-    ...(BIRDEYE_API_KEY ? [{ name: "BIRDEYE", fn: fetchPriceFromBirdeye }] : []),
-  ];
-
-  const backoffs = [0, 800, 1600];
-  let lastErr = null;
-
-  for (const waitMs of backoffs) {
-    if (waitMs) await sleep(waitMs);
-    for (const s of sources) {
-      try {
-        const price = await s.fn();
-        return { price, source: s.name };
-      } catch (e) {
-        lastErr = e;
-      }
-    }
-  }
-  throw lastErr || new Error("All sources failed");
-}
-
-// =====================
-// LADDER BUILD (PCT + ASYMMETRIC)
-// =====================
-function buildLadder(a) {
-  const buys = [];
-  const sells = [];
-
-  for (let i = 1; i <= LEVELS_EACH_SIDE; i++) {
-    buys.push({ price: a * (1 - BUY_STEP_PCT * i), state: "WAIT" });
-    sells.push({ price: a * (1 + SELL_STEP_PCT * i), state: "WAIT" });
-  }
-
-  // Closest to anchor first
-  buys.sort((x, y) => y.price - x.price);
-  sells.sort((x, y) => x.price - y.price);
-
-  return { buys, sells };
-}
-
-function ensureLadder() {
-  if (!anchor) return;
-  if (!ladderBuys.length || !ladderSells.length) {
-    const { buys, sells } = buildLadder(anchor);
-    ladderBuys = buys;
-    ladderSells = sells;
-  }
-}
-
-// =====================
-// PACKETS / GUARD
-// =====================
-function openCount() {
-  return openPositions.length;
-}
-function guardBlocksBuyNext() {
-  // blocks BUY when open+1 > sell packets
-  return (openCount() + 1) > SELL_PACKETS;
-}
-
-// =====================
-// POSITION / PNL
-// =====================
-function recomputeAvgEntry() {
-  if (!openPositions.length) {
-    stats.avgEntry = null;
-    return;
-  }
-  const totalQty = openPositions.reduce((s, p) => s + p.qtySol, 0);
-  const totalCost = openPositions.reduce((s, p) => s + p.costUsd, 0);
-  stats.avgEntry = totalQty > 0 ? (totalCost / totalQty) : null;
-}
-function breakeven() {
-  return stats.avgEntry; // paper: ignore fees
-}
-
-// =====================
-// PAPER EXECUTION
-// =====================
-function recordTrade(t) {
-  trades.unshift(t);
-  trades = trades.slice(0, 10);
-}
-
-function placeBuyAtPrice(fillPrice, costOverrideUsd = null, note = null, isMicroSeed = false) {
-  const costUsd = (costOverrideUsd != null) ? costOverrideUsd : ORDER_NOTIONAL_USD;
-  const qtySol = costUsd / fillPrice;
-
-  if (balances.usd < costUsd) return false;
-  if (openCount() >= BUY_PACKETS) return false;
-  if (guardBlocksBuyNext()) return false;
-
-  balances.usd -= costUsd;
-  balances.sol += qtySol;
-
-  openPositions.push({
-    id: nextId++,
-    entryPrice: fillPrice,
-    qtySol,
-    costUsd,
-    openedAt: Date.now(),
-    microSeed: isMicroSeed,
-  });
-
-  stats.trades++;
-  stats.buys++;
-
-  recordTrade({
-    ts: Date.now(),
-    side: "BUY",
-    price: fillPrice,
-    qtySol,
-    note: note || undefined,
-  });
-
-  recomputeAvgEntry();
-  return true;
-}
-
-function placeSellAtPrice(fillPrice) {
-  if (!openPositions.length) return false;
-
-  const pos = openPositions.shift(); // FIFO-ish
-  const qtySol = pos.qtySol;
-
-  if (balances.sol < qtySol) {
-    openPositions.unshift(pos);
-    return false;
-  }
-
-  const proceedsUsd = qtySol * fillPrice;
-  balances.sol -= qtySol;
-  balances.usd += proceedsUsd;
-
-  const pnl = proceedsUsd - pos.costUsd;
-  stats.realizedPnlUsd += pnl;
-
-  stats.trades++;
-  stats.sells++;
-
-  recordTrade({
-    ts: Date.now(),
-    side: "SELL",
-    price: fillPrice,
-    qtySol,
-    pnlUsd: pnl,
-    note: pos.microSeed ? "CLOSE_MICRO_SEED" : undefined,
-  });
-
-  recomputeAvgEntry();
-  return true;
-}
-
-/**
- * ✅ One-time paper micro-seed:
- * - only if SOL is zero AND no open positions
- * - uses current price (nowPrice)
- * - consumes 1 buy packet (intentional: it creates real inventory)
- */
-function runMicroSeedOnce() {
-  if (MICRO_SEED_USD <= 0) return;
-  if (!Number.isFinite(nowPrice) || !Number.isFinite(anchor)) return;
-
-  // Only seed if we're totally flat (no SOL, no positions).
-  // This makes it run once and never again unless you wipe state.
-  if (balances.sol > 0) return;
-  if (openPositions.length > 0) return;
-
-  const fillPrice = nowPrice * (1 + SIM_SLIPPAGE_PCT);
-  const ok = placeBuyAtPrice(fillPrice, MICRO_SEED_USD, "MICRO_SEED", true);
-
-  if (ok) {
-    console.log(
-      iso(),
-      `MICRO_SEED executed: bought ${(MICRO_SEED_USD / fillPrice).toFixed(6)} SOL @ ${fillPrice.toFixed(2)}`
-    );
-  } else {
-    console.log(iso(), "MICRO_SEED skipped (guard/cash/packets)");
-  }
-}
-
-function simulateFills() {
-  if (!nowPrice || !anchor) return;
-  ensureLadder();
-
-  // BUY fills
-  for (const rung of ladderBuys) {
-    if (rung.state === "FILLED") continue;
-    if (nowPrice <= rung.price) {
-      const fillPrice = rung.price * (1 + SIM_SLIPPAGE_PCT);
-      const ok = placeBuyAtPrice(fillPrice);
-      if (ok) rung.state = "FILLED";
-      else break;
-    }
-  }
-
-  // SELL fills
-  for (const rung of ladderSells) {
-    if (rung.state === "FILLED") continue;
-    if (nowPrice >= rung.price) {
-      const fillPrice = rung.price * (1 - SIM_SLIPPAGE_PCT);
-      const ok = placeSellAtPrice(fillPrice);
-      if (ok) rung.state = "FILLED";
-      else break;
-    }
-  }
-}
-
-// =====================
-// STATUS
-// =====================
-function portfolioValueUsd() {
-  if (!Number.isFinite(nowPrice)) return null;
-  return balances.usd + balances.sol * nowPrice;
-}
-
-function statusObj() {
-  const drift = (anchor && nowPrice) ? (Math.abs(nowPrice - anchor) / anchor) : null;
-  const pv = portfolioValueUsd();
-
-  return {
-    ts: Date.now(),
-    iso: iso(),
-    nowPrice,
-    priceSource,
-    anchor,
-    drift,
-    lastPriceError,
-
-    config: {
-      BUY_PACKETS,
-      SELL_PACKETS,
-      LEVELS_EACH_SIDE,
-      BUY_STEP_PCT,
-      SELL_STEP_PCT,
-      ORDER_NOTIONAL_USD,
-      MICRO_SEED_USD,
-      TICK_MS,
-    },
-
-    balances,
-    stats: {
-      ...stats,
-      openPositions: openCount(),
-      buyPackets: BUY_PACKETS,
-      sellPackets: SELL_PACKETS,
-      guard: "blocks BUY when open+1 > sell packets",
-      guardBlocked: guardBlocksBuyNext(),
-      breakeven: breakeven(),
-      portfolioValueUsd: pv,
-    },
-
-    ladder: { buys: ladderBuys, sells: ladderSells },
-    trades,
-  };
-}
-
 // =====================
 // DARK UI HTML
 // =====================
-function html() {
-  return `<!doctype html>
-<html>
-<head>
-  <meta charset="utf-8"/>
-  <meta name="viewport" content="width=device-width, initial-scale=1"/>
-  <title>Paper Grid Ladder</title>
-  <style>
+function css() {
+  return `
     :root{
       --bg:#0b1220;
       --card:#0f1a2e;
@@ -550,6 +222,7 @@ function html() {
     }
     .sidebuy{ color: var(--good); font-weight: 900; }
     .sidesell{ color: var(--warn); font-weight: 900; }
+    .sideanchor{ color: var(--muted); font-weight: 900; }
     .pnl{ font-weight: 900; }
     .pnl.pos{ color: var(--good); }
     .pnl.neg{ color: var(--bad); }
@@ -585,15 +258,70 @@ function html() {
       color: var(--muted);
     }
     .state.filled{ color: var(--good); border-color: rgba(46,229,157,.35); }
+    .pair{ font-size: 11px; color: var(--muted); margin-left: 8px; }
+    .skip{ color: var(--warn); }
     .price{ font-weight: 800; }
 
+    .chart{ width: 100%; height: 160px; margin-top: 8px; display:block; }
+    .chart .eq{ fill:none; stroke: var(--good); stroke-width: 2; vector-effect: non-scaling-stroke; }
+    .chart .hodl{ fill:none; stroke: var(--muted); stroke-width: 1.5; stroke-dasharray: 4 4; vector-effect: non-scaling-stroke; }
+    .chart.tall{ height: 280px; }
+    .chart line{ vector-effect: non-scaling-stroke; }
+    .chart .px{ fill:none; stroke: var(--txt); stroke-width: 1.5; vector-effect: non-scaling-stroke; }
+    .chart .rl{ stroke-width: 1; stroke-dasharray: 6 4; opacity: .8; }
+    .chart .rl.buy{ stroke: var(--good); }
+    .chart .rl.sell{ stroke: var(--bad); }
+    .chart .rl.filled{ stroke-dasharray: none; opacity: .3; }
+    .chart .rl.skip{ stroke: var(--warn); opacity: .5; }
+    .chart .rl.partial{ stroke-dasharray: 2 3; opacity: 1; }
+    .chart .anchor{ stroke: #7aa2ff; stroke-width: 1.5; }
+    .chart .be{ stroke: var(--warn); stroke-width: 1.5; stroke-dasharray: 2 3; }
+    .chart .lot{ stroke: var(--txt); stroke-width: 3; opacity: .45; }
+    .chart .mk{ stroke: var(--bg); stroke-width: 1; cursor: default; }
+    .chart .mk.buy{ fill: var(--good); }
+    .chart .mk.sell{ fill: var(--bad); }
+    .chart .hit{ stroke: transparent; stroke-width: 8; }
+
+    .ops{ display:flex; flex-wrap:wrap; gap:8px; align-items:center; margin-top: 10px; }
+    .ops input{
+      background: rgba(255,255,255,.04);
+      border: 1px solid var(--line);
+      border-radius: 10px;
+      color: var(--txt);
+      padding: 6px 10px;
+      font-size: 12px;
+      width: 90px;
+    }
+    .ops input.wide{ flex: 1; min-width: 160px; }
+    .ops button{
+      background: rgba(255,255,255,.06);
+      border: 1px solid var(--line);
+      border-radius: 10px;
+      color: var(--txt);
+      padding: 6px 12px;
+      font-size: 12px;
+      font-weight: 700;
+      cursor: pointer;
+    }
+    .ops button.danger{ color: var(--bad); border-color: rgba(255,92,122,.35); }
+
     a{ color: var(--muted); text-decoration:none; }
     .footer{ margin-top: 10px; font-size: 12px; color: var(--muted); }
-  </style>
+  `;
+}
+
+function html(g) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>Paper Grid Ladder · ${g.id}</title>
+  <style>${css()}</style>
 </head>
 <body>
   <div class="wrap">
-    <h1>Paper Grid Ladder <span class="pill" id="matchPill">…</span></h1>
+    <h1>Paper Grid Ladder · ${g.id} (${g.asset}) <span class="pill" id="matchPill">…</span> <span class="pill bad" id="pausePill" style="display:none;"></span> <span class="pill bad" id="haltPill" style="display:none;"></span> <span class="pill" id="connPill">…</span></h1>
 
     <div class="grid">
       <div class="card">
@@ -615,10 +343,16 @@ function html() {
         </div>
 
         <div class="sub">
-          Avg entry: <b id="avgEntry">—</b> · Breakeven: <b id="breakeven">—</b><br/>
-          USD: <b id="usd">—</b> · SOL: <b id="sol">—</b> · PV: <b id="pv">—</b><br/>
+          Avg entry: <b id="avgEntry">—</b> · Breakeven: <b id="breakeven">—</b> <span class="k">(incl. fees)</span><br/>
+          Fees paid: <b id="fees">—</b> · Slippage: <b id="slippage">—</b> · Realized PnL: <b id="realized">—</b><br/>
+          USD: <b id="usd">—</b> · ${g.asset}: <b id="sol">—</b> · PV: <b id="pv">—</b><br/>
           Micro-seed: <b id="seed">—</b>
         </div>
+
+        <div class="sub">
+          Risk: <span id="riskLine">—</span>
+          <div id="haltLine" style="color:var(--bad); display:none;"></div>
+        </div>
       </div>
 
       <div class="mid">
@@ -626,32 +360,83 @@ function html() {
         <div class="big" id="now">—</div>
         <div class="small" id="anchorLine">Anchor: — • Steps: —</div>
         <div class="small" id="driftLine">Drift: — · src: —</div>
+        <div class="small" id="srcHealth"></div>
         <div class="small" id="errLine" style="opacity:.85;"></div>
       </div>
 
       <div class="card list">
-        <div class="k">Last 10 trades</div>
+        <div class="row">
+          <div class="k">Last 10 trades</div>
+          <div class="k"><a href="/trades/${g.id}">all</a> · <a href="/trades/${g.id}/export.csv">csv</a> · <a href="/trades/${g.id}/export.json">json</a></div>
+        </div>
         <div id="tradeList"></div>
       </div>
     </div>
 
     <div class="card" style="margin-top:12px;">
-      <div class="k">Ladder (fixed levels; colour/state changes)</div>
-      <div class="sub">Percent steps: BUY wider / SELL tighter. (Anchor is fixed in this version.)</div>
+      <div class="row">
+        <div class="k">Price · <span style="color:var(--good);">┅ buy rungs</span> · <span style="color:var(--bad);">┅ sell rungs</span>
+          (faint = filled) · <span style="color:#7aa2ff;">━ anchor</span> · <span style="color:var(--warn);">┅ breakeven</span>
+          · ▬ open lots · <span style="color:var(--good);">▲</span>/<span style="color:var(--bad);">▼</span> fills (hover for details)</div>
+        <div class="k"><a href="/chart/${g.id}">json</a></div>
+      </div>
+      <svg id="priceChart" class="chart tall" viewBox="0 0 1000 280" preserveAspectRatio="none"></svg>
+      <div class="sub" id="chartLine">—</div>
+    </div>
+
+    <div class="card" style="margin-top:12px;">
+      <div class="row">
+        <div class="k">Equity curve <span style="color:var(--good);">━ grid</span> · <span>┅ HODL from first anchor</span></div>
+        <div class="k"><a href="/equity/${g.id}">json</a></div>
+      </div>
+      <svg id="eqChart" class="chart" viewBox="0 0 1000 160" preserveAspectRatio="none"></svg>
+      <div class="sub" id="perfLine">—</div>
+    </div>
+
+    <div class="card" style="margin-top:12px;">
+      <div class="k">Ladder (paired levels re-arm; ×fills · #lot)</div>
+      <div class="sub">Spacing: <span id="spacingLine">—</span>. (${g.recenterEnabled()
+        ? `Anchor re-centers${g.cfg.RECENTER_DRIFT_PCT > 0 ? ` at ${(g.cfg.RECENTER_DRIFT_PCT * 100).toFixed(2)}% drift` : ""}${g.cfg.RECENTER_AFTER_MS > 0 ? ` every ${(g.cfg.RECENTER_AFTER_MS / 3600_000).toFixed(1)}h` : ""}; open positions are kept.`
+        : "Anchor is fixed."})</div>
 
       <div class="ladder">
         <div>
-          <div class="coltitle">BUY (wider, ${(BUY_STEP_PCT * 100).toFixed(2)}% steps)</div>
+          <div class="coltitle">BUY (<span id="buyStep">—</span> steps)</div>
           <div id="buyCol"></div>
         </div>
         <div>
-          <div class="coltitle">SELL (tighter, ${(SELL_STEP_PCT * 100).toFixed(2)}% steps)</div>
+          <div class="coltitle">SELL (<span id="sellStep">—</span> steps) · lots: <span id="lotPolicy">—</span></div>
           <div id="sellCol"></div>
         </div>
       </div>
 
+      <div class="sub" id="skipList"></div>
+      <div class="sub" id="orderLine"></div>
+      <div class="sub" id="poolLine"></div>
+      <div class="sub" id="cfgLine"></div>
+${CONTROL_TOKEN ? `
+      <div class="coltitle" style="margin-top:14px;">Operator (token required; every action is logged with the note)</div>
+      <div class="ops">
+        <input class="wide" id="opNote" placeholder="note (optional)"/>
+        <button id="pauseBtn" onclick="togglePause()">Pause fills</button>
+        <button id="clearHaltBtn" class="danger" style="display:none;" onclick="confirm('Clear the risk halt and resume trading?') && control('clear-halt')">Clear halt</button>
+      </div>
+      <div class="ops">
+        <input id="opUsd" placeholder="$ (${g.cfg.SIZING_MODE})"/>
+        <button onclick="control('buy', { usd: val('opUsd') })">Buy</button>
+        <input id="opPos" placeholder="lot # (oldest)"/>
+        <button onclick="control('sell', { posId: val('opPos') })">Sell</button>
+        <button class="danger" onclick="confirm('Market-sell every open lot?') && control('close-all')">Close all</button>
+      </div>
+      <div class="ops">
+        <input id="opAnchor" placeholder="anchor (now)"/>
+        <button onclick="control('rebuild', { anchor: val('opAnchor') })">Rebuild ladder</button>
+        <button class="danger" onclick="confirm('Reset the paper account to its start balances?') && control('reset')">Reset account</button>
+        <span class="k" id="opResult"></span>
+      </div>` : ""}
+
       <div class="footer">
-        JSON endpoint: <a href="/status">/status</a> · Refresh hint: ${UI_REFRESH_HINT_MS / 1000}s
+        ${grids.length > 1 ? `<a href="/">All grids</a> · ` : ""}JSON endpoint: <a href="/status/${g.id}">/status/${g.id}</a> · Live: <a href="/events/${g.id}">/events/${g.id}</a> (polls every ${UI_REFRESH_HINT_MS / 1000}s if the stream drops)
       </div>
     </div>
   </div>
@@ -659,21 +444,38 @@ function html() {
 <script>
   const fmt = (n, dp=2) => (typeof n === 'number' && isFinite(n)) ? n.toFixed(dp) : '—';
   const money = (n) => (typeof n === 'number' && isFinite(n)) ? ('$' + n.toFixed(2)) : '—';
+  const esc = (x) => String(x).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+  function orderHtml(o){
+    if (!o) return '';
+    const txt = o.state === 'PARTIALLY_FILLED' ? 'partial ' + money(o.filledUsd) : o.state.toLowerCase();
+    return \` <span class="pair" title="\${o.kind} \${o.side} limit \${fmt(o.price, 4)} · \${o.fills} fill(s)">\${o.id} \${txt}</span>\`;
+  }
 
-  function rungHtml(p, state){
-    const st = state === 'FILLED' ? 'filled' : '';
+  function rungHtml(r, lots, orders){
+    const st = r.state === 'FILLED' ? 'filled' : '';
+    const lot = r.pairedPosId != null ? lots[r.pairedPosId] : null;
+    let pair = '';
+    if (lot && lot.targetPrice) pair = '#' + lot.id + ' → sell ' + fmt(lot.targetPrice, 2);
+    else if (lot) pair = 'sells #' + lot.id;
+    else if (r.rebuyPrice) pair = '→ rebuy ' + fmt(r.rebuyPrice, 2);
+    const skip = r.skip || (lot && lot.skip);
+    if (skip) pair += \` <span class="skip" title="\${esc(skip.reason)}">⚠ sell skipped ×\${skip.count}</span>\`;
+    pair += orderHtml(orders[r.orderId] || (lot && orders[lot.orderId]));
+    const size = r.size ? \`<span class="pair" title="\${r.state === 'WAIT' && r.id[0] === 'B' ? 'next fill' : 'last fill'}">\${money(r.size.usd)}</span>\` : '';
+    const step = r.step != null ? \`<span class="pair" title="distance from the previous rung / anchor">Δ\${fmt(r.step, 2)} (\${fmt(r.stepPct*100, 2)}%)</span>\` : '';
     return \`
       <div class="rung">
-        <div class="price">\${fmt(p, 2)}</div>
-        <div class="state \${st}">\${state}</div>
+        <div class="price">\${fmt(r.price, 2)}\${step}<span class="pair">\${pair}</span></div>
+        <div>\${size} <span class="pair">×\${r.fills || 0}</span> <span class="state \${st}">\${r.state}</span></div>
       </div>\`;
   }
 
   function tradeHtml(t){
-    const sideClass = t.side === 'BUY' ? 'sidebuy' : 'sidesell';
+    const sideClass = t.side === 'BUY' ? 'sidebuy' : (t.side === 'SELL' ? 'sidesell' : 'sideanchor');
     const pnl = (typeof t.pnlUsd === 'number') ? t.pnlUsd : null;
     const pnlClass = pnl == null ? '' : (pnl >= 0 ? 'pos' : 'neg');
-    const note = t.note ? \`<span class="note">\${t.note}</span>\` : '';
+    const note = t.note ? \`<span class="note">\${esc(t.note)}</span>\` : '';
 
     return \`
       <div class="item">
@@ -683,8 +485,20 @@ function html() {
         </div>
         <div class="row" style="margin-top:6px;">
           <div>Price: <b>\${fmt(t.price, 2)}</b></div>
-          <div>Qty: <b>\${fmt(t.qtySol, 6)}</b></div>
+          \${t.side === 'BUY' || t.side === 'SELL' ? \`<div>Qty: <b>\${fmt(t.qtySol, 6)}</b></div>\` : ''}
         </div>
+        \${t.sizing ? \`<div class="row" style="margin-top:6px;">
+          <div class="k">Size</div>
+          <div class="k">\${money(t.notionalUsd)} · \${t.sizing}</div>
+        </div>\` : ''}
+        \${typeof t.feeUsd === 'number' ? \`<div class="row" style="margin-top:6px;">
+          <div class="k">Fee (\${(t.liquidity || '').toLowerCase()})</div>
+          <div class="k">\${money(t.feeUsd)}</div>
+        </div>\` : ''}
+        \${typeof t.slippageUsd === 'number' ? \`<div class="row" style="margin-top:6px;">
+          <div class="k">\${t.poolPrice != null ? 'Price impact (' + t.slippageModel + ')' : 'Slippage (' + t.slippageModel + ')'}</div>
+          <div class="k">\${money(t.slippageUsd)} · \${fmt(t.slippagePct * 100, 3)}%\${t.poolPrice != null ? ' · pool → ' + fmt(t.poolPrice, 2) : ''}</div>
+        </div>\` : ''}
         \${pnl == null ? '' : \`<div class="row" style="margin-top:6px;">
           <div class="k">PnL</div>
           <div class="pnl \${pnlClass}">\${money(pnl)}</div>
@@ -692,10 +506,9 @@ function html() {
       </div>\`;
   }
 
-  async function refresh(){
-    const r = await fetch('/status', { cache: 'no-store' });
-    const s = await r.json();
-
+  function render(s){
+    scheduleChart();
+    document.getElementById('perfLine').innerText = perfText(s.performance);
     document.getElementById('trades').innerText = s.stats.trades ?? '—';
     document.getElementById('buys').innerText = s.stats.buys ?? '—';
     document.getElementById('sells').innerText = s.stats.sells ?? '—';
@@ -712,6 +525,12 @@ function html() {
     document.getElementById('breakeven').innerText =
       (typeof s.stats.breakeven === 'number') ? fmt(s.stats.breakeven, 2) : '—';
 
+    document.getElementById('fees').innerText = money(s.stats.feesUsd);
+    const sl = s.slippage || {};
+    document.getElementById('slippage').innerText = money(s.stats.slippageUsd || 0) + ' (' + (sl.model || 'fixed') + ')';
+    document.getElementById('slippage').title = sl.bookError ? 'order book: ' + sl.bookError
+      : (sl.book ? 'order book ' + sl.book.source + ' · bid ' + fmt(sl.book.bid, 2) + ' / ask ' + fmt(sl.book.ask, 2) : '');
+    document.getElementById('realized').innerText = money(s.stats.realizedPnlUsd);
     document.getElementById('usd').innerText = money(s.balances.usd);
     document.getElementById('sol').innerText = fmt(s.balances.sol, 6);
     document.getElementById('pv').innerText = money(s.stats.portfolioValueUsd);
@@ -722,29 +541,407 @@ function html() {
     pill.className = 'pill ' + (matched ? 'good' : 'bad');
     pill.innerText = matched ? '✅ Matched: sells can cover open positions' : '⚠ Not matched';
 
+    const r = s.risk || {};
+    const rules = [
+      r.stopLossPct > 0 ? 'stop-loss ' + pct(r.stopLossPct) : '',
+      r.maxDrawdownPct > 0 ? 'drawdown ' + pct(r.maxDrawdownPct) + ' (peak ' + money(r.peakPv) + ')' : '',
+      r.dailyLossLimitUsd > 0 ? 'daily loss ' + money(r.dailyLossLimitUsd) + ' (today ' + money(r.day === new Date(s.ts).toISOString().slice(0, 10) ? r.dayRealizedUsd : 0) + ')' : '',
+      r.trendBreakPct > 0 ? 'trend break ' + pct(r.trendBreakPct) : '',
+    ].filter(Boolean);
+    document.getElementById('riskLine').innerText = rules.length ? rules.join(' · ') : 'no rules set';
+
+    const h = s.halt;
+    const haltPill = document.getElementById('haltPill');
+    haltPill.style.display = h ? '' : 'none';
+    haltPill.innerText = h ? '⛔ HALTED' + (h.scope === 'buys' ? ' (buys)' : '') + ': ' + h.rule : '';
+    const haltLine = document.getElementById('haltLine');
+    haltLine.style.display = h ? '' : 'none';
+    haltLine.innerText = h ? '⛔ ' + h.rule + ' since ' + new Date(h.at).toLocaleString() + ': ' + h.reason +
+      (h.until ? ' · ends ' + new Date(h.until).toLocaleString() : '') +
+      (s.controlEnabled ? ' · resume: Clear halt below' : ' · resume: POST /control/${g.id}/clear-halt (needs CONTROL_TOKEN)') : '';
+    const clearHaltBtn = document.getElementById('clearHaltBtn');
+    if (clearHaltBtn) clearHaltBtn.style.display = h ? '' : 'none';
+
+    paused = !!s.pause;
+    const pausePill = document.getElementById('pausePill');
+    pausePill.style.display = paused ? '' : 'none';
+    pausePill.innerText = paused ? '⏸ Fills paused' + (s.pause.note ? ': ' + s.pause.note : '') : '';
+    const pauseBtn = document.getElementById('pauseBtn');
+    if (pauseBtn) pauseBtn.innerText = paused ? 'Resume fills' : 'Pause fills';
+
     document.getElementById('now').innerText = fmt(s.nowPrice, 2);
+    const sp = s.ladder.spacing;
+    const stepTxt = (x) => sp.unit === 'usd' ? '$' + fmt(x, 2) : fmt(x*100, 2) + '%';
     document.getElementById('anchorLine').innerText =
-      'Anchor: ' + fmt(s.anchor, 2) + ' • Steps: ' +
-      (s.config.BUY_STEP_PCT*100).toFixed(2) + '% / ' +
-      (s.config.SELL_STEP_PCT*100).toFixed(2) + '%';
+      'Anchor: ' + fmt(s.anchor, 2) + ' • Steps: ' + stepTxt(sp.buyStep) + ' / ' + stepTxt(sp.sellStep) +
+      ' (' + sp.mode + ')' +
+      (s.stats.recenters ? ' • Re-centered ' + s.stats.recenters + 'x' : '');
 
+    const ib = s.intrabar;
     document.getElementById('driftLine').innerText =
       'Drift: ' + ((typeof s.drift === 'number') ? (s.drift*100).toFixed(2)+'%' : '—') +
-      ' · src: ' + (s.priceSource || '—');
+      ' · src: ' + (s.priceSource || '—') +
+      (ib ? ' · intrabar: ' + (ib.error ? '⚠ ' + ib.error : ib.source + ' ' + ib.candles + '×1m') : '');
 
     document.getElementById('errLine').innerText =
-      s.lastPriceError ? ('Last price error: ' + s.lastPriceError) : '';
+      (s.priceStale ? '⚠ Price stale since ' + new Date(s.lastPriceChangeAt).toLocaleTimeString() + ' — not trading. ' : '') +
+      (s.lastPriceError ? ('Last price error: ' + s.lastPriceError) : '');
+
+    document.getElementById('srcHealth').innerText = Object.entries(s.priceSources || {})
+      .map(([k, h]) => k + ' ' + (h.latencyMs != null ? h.latencyMs + 'ms' : '—') +
+        (typeof h.deviationPct === 'number' ? ' ' + (h.deviationPct*100).toFixed(2) + '%' : '') +
+        (h.outlier ? ' ✗' : '') + (h.errorCount ? ' err ' + h.errorCount : ''))
+      .join(' · ');
 
     const buyCol = document.getElementById('buyCol');
     const sellCol = document.getElementById('sellCol');
-    buyCol.innerHTML = (s.ladder.buys || []).map(x => rungHtml(x.price, x.state)).join('');
-    sellCol.innerHTML = (s.ladder.sells || []).map(x => rungHtml(x.price, x.state)).join('');
+    const lots = Object.fromEntries((s.positions || []).map(p => [p.id, p]));
+    document.getElementById('spacingLine').innerText = sp.label;
+    document.getElementById('buyStep').innerText = (sp.compound ? 'compounding ' : '') + stepTxt(sp.buyStep);
+    document.getElementById('sellStep').innerText = (sp.compound ? 'compounding ' : '') + stepTxt(sp.sellStep);
+    const orders = Object.fromEntries((s.orders || []).map(o => [o.id, o]));
+    buyCol.innerHTML = (s.ladder.buys || []).map(x => rungHtml(x, lots, orders)).join('');
+    sellCol.innerHTML = (s.ladder.sells || []).map(x => rungHtml(x, lots, orders)).join('');
+    document.getElementById('orderLine').innerText = 'Orders (' + (s.exchange || 'paper') + ' exchange): ' +
+      (s.orders || []).length + ' working · placed ' + (s.stats.ordersPlaced || 0) + ' · partial fills ' + (s.stats.partialFills || 0) +
+      ' · rejected ' + (s.stats.ordersRejected || 0) + ' · cancelled ' + (s.stats.ordersCancelled || 0);
+    const pool = s.amm;
+    document.getElementById('poolLine').innerText = !pool ? '' : 'AMM pool (' + pool.source + '): ' + pool.type +
+      ' · fee ' + fmt(pool.feeBps / 100, 2) + '%' +
+      ' · TVL ' + (typeof pool.tvlUsd === 'number' ? money(pool.tvlUsd) : 'out of range') +
+      (pool.range ? ' · range ' + fmt(pool.range[0], 2) + ' – ' + fmt(pool.range[1], 2) : '') +
+      (pool.rangePct != null && pool.type === 'concentrated' ? ' · range ±' + fmt(pool.rangePct * 100, 1) + '%' : '') +
+      ' · price impact paid ' + money(s.stats.slippageUsd || 0) +
+      (pool.error ? ' · ⚠ ' + pool.error : '');
+
+    document.getElementById('lotPolicy').innerText = s.config.LOT_MATCHING +
+      (s.config.MIN_PROFIT_PCT > 0 ? ', min profit ' + (s.config.MIN_PROFIT_PCT*100).toFixed(2) + '%' : '');
+    const skips = s.sellSkips || [];
+    document.getElementById('skipList').innerHTML = skips.length
+      ? '<b>Skipped sells</b> (' + (s.stats.sellsSkipped || 0) + ' total):<br/>' + skips.map(x =>
+        new Date(x.ts).toLocaleTimeString() + ' ' + x.rung + ' @ ' + fmt(x.price, 2) + ' — ' + esc(x.reason)).join('<br/>')
+      : '';
+
+    const pending = s.config.pendingRebuild || [];
+    document.getElementById('cfgLine').innerText =
+      (s.config.file ? 'Config: ' + s.config.file : 'Config: defaults + env') +
+      (pending.length ? ' · ⚠ changed, needs ladder rebuild: ' + pending.join(', ') : '') +
+      (s.config.lastReload && !s.config.lastReload.ok ? ' · ⚠ last reload rejected' : '');
 
     const list = document.getElementById('tradeList');
     const t = s.trades || [];
     list.innerHTML = t.length ? t.map(tradeHtml).join('') : '<div class="item"><div class="k">No trades yet</div></div>';
   }
 
+  const pct = (x) => (typeof x === 'number' && isFinite(x)) ? (x*100).toFixed(2) + '%' : '—';
+
+  function perfText(p){
+    if (!p) return '—';
+    return 'Return ' + pct(p.totalReturn) + ' · Annualized ' + pct(p.annualizedReturn) +
+      ' · Max DD ' + pct(p.maxDrawdownPct) + ' (' + money(p.maxDrawdownUsd) + ')' +
+      ' · Sharpe ' + fmt(p.sharpe, 2) + ' · Sortino ' + fmt(p.sortino, 2) +
+      ' · Win rate ' + pct(p.winRate) + ' of ' + p.lotsClosed + ' lots' +
+      ' · Avg hold ' + (typeof p.avgHoldMs === 'number' ? (p.avgHoldMs / 3600000).toFixed(1) + 'h' : '—') +
+      (p.hodl ? ' · HODL ' + money(p.hodl.value) + ' (' + pct(p.hodl.return) + '), grid ' +
+        (p.hodl.excessReturn >= 0 ? '+' : '') + pct(p.hodl.excessReturn) + ' vs HODL' : '');
+  }
+
+  async function loadEquity(){
+    const r = await fetch('/equity/${g.id}', { cache: 'no-store' });
+    const e = await r.json();
+    const pts = e.samples || [];
+    const svg = document.getElementById('eqChart');
+    if (pts.length < 2) {
+      svg.innerHTML = '';
+      return;
+    }
+    const hodlQty = e.performance.hodl ? e.performance.hodl.qty : null;
+    const hodl = hodlQty ? pts.map(p => hodlQty * p.price) : [];
+    const vals = pts.map(p => p.pv).concat(hodl);
+    const lo = Math.min(...vals), hi = Math.max(...vals);
+    const t0 = pts[0].ts, span = (pts[pts.length - 1].ts - t0) || 1;
+    const xy = (ts, v) => ((ts - t0) / span * 1000).toFixed(1) + ',' + (155 - (v - lo) / ((hi - lo) || 1) * 150).toFixed(1);
+    svg.innerHTML =
+      (hodl.length ? '<polyline class="hodl" points="' + pts.map((p, i) => xy(p.ts, hodl[i])).join(' ') + '"/>' : '') +
+      '<polyline class="eq" points="' + pts.map(p => xy(p.ts, p.pv)).join(' ') + '"/>';
+  }
+
+  // =====================
+  // PRICE CHART: /chart, redrawn at most every 5s while status updates come in
+  // =====================
+
+  function fillTitle(t){
+    return t.side + (t.rung ? ' ' + t.rung : '') + ' · ' + new Date(t.ts).toLocaleString() +
+      '\\nprice ' + fmt(t.price, 4) + ' · qty ' + fmt(t.qtySol, 6) + ' · ' + money(t.notionalUsd) +
+      '\\nfee ' + money(t.feeUsd) + (typeof t.pnlUsd === 'number' ? ' · pnl ' + money(t.pnlUsd) : '') +
+      (t.posId != null ? ' · lot #' + t.posId : '') + (t.note ? '\\n' + t.note : '');
+  }
+
+  function drawPriceChart(c){
+    const svg = document.getElementById('priceChart');
+    const pts = c.prices || [];
+    if (!pts.length) {
+      svg.innerHTML = '';
+      document.getElementById('chartLine').innerText = 'No prices yet';
+      return;
+    }
+    const rungs = [...c.ladder.buys.map(r => ({ ...r, side: 'buy' })), ...c.ladder.sells.map(r => ({ ...r, side: 'sell' }))];
+    const lines = [c.anchor, c.breakeven].filter(v => typeof v === 'number');
+    const vals = pts.map(p => p.price).concat(rungs.map(r => r.price), lines, c.lots.map(l => l.entryPrice), c.fills.map(t => t.price));
+    let lo = Math.min(...vals), hi = Math.max(...vals);
+    const pad = (hi - lo) * 0.04 || hi * 0.01 || 1;
+    lo -= pad; hi += pad;
+    const t0 = c.from, span = (c.ts - t0) || 1;
+    const X = (ts) => (Math.max(0, ts - t0) / span * 1000).toFixed(1);
+    const Y = (v) => (280 - (v - lo) / (hi - lo) * 280).toFixed(1);
+    const hline = (v, cls, title, x0 = 0) =>
+      '<line class="' + cls + '" x1="' + x0 + '" x2="1000" y1="' + Y(v) + '" y2="' + Y(v) + '"/>' +
+      '<line class="hit" x1="' + x0 + '" x2="1000" y1="' + Y(v) + '" y2="' + Y(v) + '"><title>' + esc(title) + '</title></line>';
+
+    const out = [];
+    for (const r of rungs) {
+      const cls = 'rl ' + r.side + (r.state === 'FILLED' ? ' filled' : '') + (r.skip ? ' skip' : '') + (r.order === 'PARTIALLY_FILLED' ? ' partial' : '');
+      out.push(hline(r.price, cls, r.id + ' ' + r.state + ' @ ' + fmt(r.price, 4) + (r.order ? ' · order ' + r.order.toLowerCase() : '') + (r.skip ? ' · sell skipped: ' + r.skip : '')));
+    }
+    if (typeof c.anchor === 'number') out.push(hline(c.anchor, 'anchor', 'Anchor ' + fmt(c.anchor, 4)));
+    if (typeof c.breakeven === 'number') out.push(hline(c.breakeven, 'be', 'Breakeven ' + fmt(c.breakeven, 4) + ' (all open lots, incl. fees)'));
+    for (const l of c.lots) {
+      out.push(hline(l.entryPrice, 'lot', 'Lot #' + l.id + (l.rung ? ' (' + l.rung + ')' : '') + ' · ' + fmt(l.qtySol, 6) + ' @ ' + fmt(l.entryPrice, 4) +
+        (typeof l.targetPrice === 'number' ? ' · target ' + fmt(l.targetPrice, 4) : '') + ' · since ' + new Date(l.openedAt).toLocaleString(), X(l.openedAt)));
+    }
+    out.push('<polyline class="px" points="' + pts.map(p => X(p.ts) + ',' + Y(p.price)).join(' ') + '"/>');
+    for (const t of c.fills) {
+      const x = +X(t.ts), y = +Y(t.price), d = t.side === 'BUY' ? 1 : -1;
+      out.push('<polygon class="mk ' + t.side.toLowerCase() + '" points="' +
+        [x - 6, y + 7 * d, x + 6, y + 7 * d, x, y - 3 * d].map(v => v.toFixed(1)).join(',') + '"><title>' + esc(fillTitle(t)) + '</title></polygon>');
+    }
+    svg.innerHTML = out.join('');
+
+    document.getElementById('chartLine').innerText =
+      'Last ' + (c.windowMs / 3600000).toFixed(1) + 'h · ' + pts.length + ' prices · range ' + fmt(lo + pad, 4) + ' – ' + fmt(hi - pad, 4) +
+      ' · ' + c.fills.length + ' fills · ' + c.lots.length + ' open lots';
+  }
+
+  async function loadChart(){
+    const r = await fetch('/chart/${g.id}', { cache: 'no-store' });
+    drawPriceChart(await r.json());
+  }
+
+  let chartAt = 0;
+  let chartTimer = null;
+  function scheduleChart(){
+    if (chartTimer) return;
+    const wait = Math.max(0, chartAt + 5000 - Date.now());
+    chartTimer = setTimeout(() => {
+      chartTimer = null;
+      chartAt = Date.now();
+      loadChart().catch(()=>{});
+    }, wait);
+  }
+
+  // Last full status; stream events patch it and re-render
+  let state = null;
+
+  async function refresh(){
+    const r = await fetch('/status/${g.id}', { cache: 'no-store' });
+    state = await r.json();
+    render(state);
+  }
+
+  // =====================
+  // LIVE UPDATES: /events stream, polling while it is down
+  // =====================
+  let poller = null;
+  let es = null;
+
+  function setConn(mode){
+    const pill = document.getElementById('connPill');
+    pill.className = 'pill ' + (mode === 'live' ? 'good' : 'bad');
+    pill.innerText = mode === 'live' ? '● live'
+      : (mode === 'polling' ? '⚠ connection lost · polling every ${UI_REFRESH_HINT_MS / 1000}s' : '⚠ connection lost');
+  }
+
+  function startPolling(){
+    if (poller) return;
+    poller = setInterval(() => refresh().then(() => setConn('polling'), () => setConn('lost')), ${UI_REFRESH_HINT_MS});
+  }
+
+  function stopPolling(){
+    clearInterval(poller);
+    poller = null;
+  }
+
+  function patch(fn){
+    return (e) => {
+      if (!state) return;
+      fn(JSON.parse(e.data));
+      render(state);
+    };
+  }
+
+  function connect(){
+    if (typeof EventSource !== 'function') {
+      startPolling();
+      refresh().then(() => setConn('polling'), () => setConn('lost'));
+      return;
+    }
+
+    es = new EventSource('/events/${g.id}');
+    es.onopen = () => { stopPolling(); setConn('live'); };
+    // EventSource retries on its own; if it gave up (CLOSED), poll and start over later
+    es.onerror = () => {
+      setConn('lost');
+      startPolling();
+      if (es.readyState === EventSource.CLOSED) setTimeout(connect, 15000);
+    };
+
+    es.addEventListener('status', (e) => { state = JSON.parse(e.data); render(state); });
+    es.addEventListener('tick', patch((d) => Object.assign(state, d)));
+    es.addEventListener('ladder', patch((d) => { state.ladder = d.ladder; state.positions = d.positions; state.sellSkips = d.sellSkips; state.orders = d.orders; }));
+    es.addEventListener('fill', patch((t) => { state.trades = [t, ...(state.trades || [])].slice(0, 10); }));
+    es.addEventListener('price-error', patch((d) => { state.lastPriceError = d.lastPriceError; }));
+  }
+
+  let paused = false;
+  const val = (id) => document.getElementById(id).value.trim() || undefined;
+
+  async function control(action, body = {}){
+    let token = localStorage.getItem('controlToken');
+    if (!token) {
+      token = prompt('Control token');
+      if (!token) return;
+      localStorage.setItem('controlToken', token);
+    }
+    const out = document.getElementById('opResult');
+    try {
+      const r = await fetch('/control/${g.id}/' + action, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + token },
+        body: JSON.stringify({ ...body, note: val('opNote') }),
+      });
+      const res = await r.json().catch(() => ({}));
+      if (r.status === 401) localStorage.removeItem('controlToken');
+      out.innerText = res.ok ? ('✅ ' + action) : ('⚠ ' + action + ': ' + (res.error || r.status));
+      if (res.ok) ['opNote', 'opUsd', 'opPos', 'opAnchor'].forEach((id) => { document.getElementById(id).value = ''; });
+    } catch (e) {
+      out.innerText = '⚠ ' + action + ': ' + e.message;
+    }
+    refresh().catch(()=>{});
+  }
+
+  function togglePause(){
+    control(paused ? 'resume' : 'pause');
+  }
+
+  connect();
+  loadEquity().catch(()=>{});
+  setInterval(() => loadEquity().catch(()=>{}), 60000);
+</script>
+
+</body>
+</html>`;
+}
+
+function overviewHtml() {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>Paper Grids · Overview</title>
+  <style>${css()}
+    table{ width:100%; border-collapse: collapse; margin-top: 10px; font-size: 13px; }
+    th, td{ text-align:right; padding: 8px 10px; border-bottom: 1px solid var(--line); }
+    th{ color: var(--muted); font-weight: 600; font-size: 12px; }
+    th:first-child, td:first-child{ text-align:left; }
+    tfoot td{ font-weight: 900; border-bottom: none; }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <h1>Paper Grids <span class="pill" id="countPill">…</span></h1>
+
+    <div class="grid">
+      <div class="mid">
+        <div class="k">TOTAL PORTFOLIO VALUE</div>
+        <div class="big" id="totalPv">—</div>
+        <div class="small" id="totalSub">—</div>
+      </div>
+      <div class="card">
+        <div class="k">Realized PnL (all grids)</div>
+        <div class="v" id="totalPnl">—</div>
+        <div class="sub">Fees paid: <b id="totalFees">—</b> · Slippage: <b id="totalSlippage">—</b></div>
+      </div>
+      <div class="card">
+        <div class="k">Open positions (all grids)</div>
+        <div class="v" id="totalOpen">—</div>
+        <div class="sub">USD cash: <b id="totalUsd">—</b></div>
+      </div>
+    </div>
+
+    <div class="card" style="margin-top:12px;">
+      <div class="k">Grids</div>
+      <table>
+        <thead>
+          <tr><th>Grid</th><th>Now</th><th>Anchor</th><th>Drift</th><th>Open</th><th>Trades</th><th>Realized</th><th>PV</th></tr>
+        </thead>
+        <tbody id="rows"></tbody>
+        <tfoot>
+          <tr><td>Total</td><td></td><td></td><td></td><td id="fOpen">—</td><td id="fTrades">—</td><td id="fPnl">—</td><td id="fPv">—</td></tr>
+        </tfoot>
+      </table>
+
+      <div class="footer">
+        JSON endpoint: <a href="/overview">/overview</a> · Refresh hint: ${UI_REFRESH_HINT_MS / 1000}s
+      </div>
+    </div>
+  </div>
+
+<script>
+  const fmt = (n, dp=2) => (typeof n === 'number' && isFinite(n)) ? n.toFixed(dp) : '—';
+  const money = (n) => (typeof n === 'number' && isFinite(n)) ? ('$' + n.toFixed(2)) : '—';
+  const esc = (x) => String(x).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+  function rowHtml(r){
+    const pnlClass = r.realizedPnlUsd >= 0 ? 'pos' : 'neg';
+    const err = (r.paused ? ' <span class="note">paused</span>' : '') +
+      (r.halted ? \` <span class="note" style="color:var(--bad);">halted: \${esc(r.halted)}</span>\` : '') +
+      (r.lastPriceError ? \` <span class="note" title="\${esc(r.lastPriceError)}">price error</span>\` : '');
+    return \`
+      <tr>
+        <td><a href="/grid/\${r.gridId}"><b>\${r.gridId}</b></a> <span class="k">\${r.asset}</span>\${err}</td>
+        <td>\${fmt(r.nowPrice, 4)}</td>
+        <td>\${fmt(r.anchor, 4)}</td>
+        <td>\${typeof r.drift === 'number' ? (r.drift*100).toFixed(2) + '%' : '—'}</td>
+        <td>\${r.openPositions}\${r.guardBlocked ? ' ⚠' : ''}</td>
+        <td>\${r.trades}</td>
+        <td class="pnl \${pnlClass}">\${money(r.realizedPnlUsd)}</td>
+        <td>\${money(r.portfolioValueUsd)}</td>
+      </tr>\`;
+  }
+
+  async function refresh(){
+    const r = await fetch('/overview', { cache: 'no-store' });
+    const s = await r.json();
+    const t = s.totals;
+
+    document.getElementById('countPill').innerText = t.grids + ' grids';
+    document.getElementById('totalPv').innerText = money(t.portfolioValueUsd);
+    document.getElementById('totalSub').innerText =
+      t.pricedGrids === t.grids ? 'All grids priced' : (t.pricedGrids + '/' + t.grids + ' grids priced');
+    document.getElementById('totalPnl').innerText = money(t.realizedPnlUsd);
+    document.getElementById('totalFees').innerText = money(t.feesUsd);
+    document.getElementById('totalSlippage').innerText = money(t.slippageUsd);
+    document.getElementById('totalOpen').innerText = t.openPositions;
+    document.getElementById('totalUsd').innerText = money(t.usd);
+
+    document.getElementById('rows').innerHTML = s.grids.map(rowHtml).join('');
+    document.getElementById('fOpen').innerText = t.openPositions;
+    document.getElementById('fTrades').innerText = s.grids.reduce((a, g) => a + g.trades, 0);
+    document.getElementById('fPnl').innerText = money(t.realizedPnlUsd);
+    document.getElementById('fPv').innerText = money(t.portfolioValueUsd);
+  }
+
   setInterval(refresh, ${UI_REFRESH_HINT_MS});
   refresh().catch(()=>{});
 </script>
@@ -753,27 +950,393 @@ function html() {
 </html>`;
 }
 
+// =====================
+// OVERVIEW (ALL GRIDS)
+// =====================
+function overviewObj() {
+  const rows = grids.map((g) => {
+    const s = g.statusObj();
+    return {
+      gridId: g.id,
+      asset: g.asset,
+      nowPrice: s.nowPrice,
+      priceSource: s.priceSource,
+      anchor: s.anchor,
+      drift: s.drift,
+      lastPriceError: s.lastPriceError,
+      paused: !!s.pause,
+      halted: s.halt ? s.halt.rule : null,
+      openPositions: s.stats.openPositions,
+      guardBlocked: s.stats.guardBlocked,
+      trades: s.stats.trades,
+      realizedPnlUsd: s.stats.realizedPnlUsd,
+      feesUsd: s.stats.feesUsd,
+      slippageUsd: s.stats.slippageUsd,
+      balances: s.balances,
+      portfolioValueUsd: s.stats.portfolioValueUsd,
+    };
+  });
+  const sum = (k) => rows.reduce((acc, r) => acc + (Number.isFinite(r[k]) ? r[k] : 0), 0);
+
+  return {
+    ts: nowMs(),
+    iso: iso(),
+    grids: rows,
+    totals: {
+      grids: rows.length,
+      portfolioValueUsd: sum("portfolioValueUsd"),
+      realizedPnlUsd: sum("realizedPnlUsd"),
+      feesUsd: sum("feesUsd"),
+      slippageUsd: sum("slippageUsd"),
+      usd: rows.reduce((acc, r) => acc + r.balances.usd, 0),
+      openPositions: sum("openPositions"),
+      // grids without a price yet are left out of portfolioValueUsd
+      pricedGrids: rows.filter((r) => Number.isFinite(r.portfolioValueUsd)).length,
+    },
+  };
+}
+
+// =====================
+// METRICS (PROMETHEUS)
+// =====================
+/**
+ * /metrics: one sample per grid (labels grid, asset), price-source metrics also by source.
+ * paper_seconds_since_last_tick counts from process start until the first price arrives,
+ * so a loop that never ticks still alerts.
+ */
+function metricsText() {
+  const now = Date.now();
+  const fam = (name, type, help, fn) => ({
+    name,
+    type,
+    help,
+    samples: grids.flatMap((g) => {
+      const v = fn(g);
+      return v === undefined ? [] : [{ labels: { grid: g.id, asset: g.asset }, value: v }];
+    }),
+  });
+  const perSource = (name, type, help, fn) => ({
+    name,
+    type,
+    help,
+    samples: grids.flatMap((g) => Object.entries(g.sourceHealth).map(([source, h]) => ({
+      labels: { grid: g.id, asset: g.asset, source },
+      value: fn(h),
+    }))),
+  });
+
+  const families = [
+    fam("paper_price_usd", "gauge", "Last accepted price", (g) => g.nowPrice),
+    fam("paper_anchor_usd", "gauge", "Ladder anchor price", (g) => g.anchor),
+    fam("paper_drift_ratio", "gauge", "abs(price - anchor) / anchor", (g) => g.driftPct()),
+    fam("paper_balance_usd", "gauge", "Paper USD balance", (g) => g.balances.usd),
+    fam("paper_balance_asset", "gauge", "Paper balance of the grid's asset", (g) => g.balances.sol),
+    fam("paper_portfolio_value_usd", "gauge", "USD + asset balance at the last price", (g) => g.portfolioValueUsd()),
+    fam("paper_realized_pnl_usd", "gauge", "Realized PnL net of fees", (g) => g.stats.realizedPnlUsd),
+    fam("paper_fees_usd_total", "counter", "Fees paid", (g) => g.stats.feesUsd || 0),
+    fam("paper_slippage_usd_total", "counter", "Slippage paid vs reference prices", (g) => g.stats.slippageUsd || 0),
+    fam("paper_open_positions", "gauge", "Open lots", (g) => g.openCount()),
+    fam("paper_guard_blocked", "gauge", "1 when the packet guard blocks the next buy", (g) => g.guardBlocksBuyNext()),
+    fam("paper_price_stale", "gauge", "1 while the price is stale (not trading)", (g) => g.priceStale),
+    fam("paper_paused", "gauge", "1 while an operator has paused fills", (g) => !!g.pause),
+    fam("paper_halted", "gauge", "1 while a risk rule has halted the grid", (g) => !!g.halt),
+    {
+      name: "paper_trades_total",
+      type: "counter",
+      help: "Paper fills by side",
+      samples: grids.flatMap((g) => [
+        { labels: { grid: g.id, asset: g.asset, side: "buy" }, value: g.stats.buys },
+        { labels: { grid: g.id, asset: g.asset, side: "sell" }, value: g.stats.sells },
+      ]),
+    },
+    fam("paper_last_tick_timestamp_seconds", "gauge", "Unix time of the last accepted price",
+      (g) => (g.lastTickAt ? g.lastTickAt / 1000 : undefined)),
+    fam("paper_seconds_since_last_tick", "gauge", "Seconds since the last accepted price (since start if none yet)",
+      (g) => (now - (g.lastTickAt || STARTED_AT)) / 1000),
+    perSource("paper_price_fetch_latency_seconds", "gauge", "Latency of the last fetch from this source",
+      (h) => (h.latencyMs != null ? h.latencyMs / 1000 : null)),
+    perSource("paper_price_fetch_success_total", "counter", "Successful price fetches", (h) => h.okCount),
+    perSource("paper_price_fetch_failure_total", "counter", "Failed price fetches", (h) => h.errorCount),
+  ];
+  return renderMetrics(families);
+}
+
 // =====================
 // WEB SERVER
 // =====================
+function sendJson(res, obj, status = 200) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(obj, null, 2));
+}
+
+function sendHtml(res, body) {
+  res.writeHead(200, {
+    "Content-Type": "text/html; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  res.end(body);
+}
+
+function sendDownload(res, body, type, filename) {
+  res.writeHead(200, {
+    "Content-Type": type,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Cache-Control": "no-store",
+  });
+  res.end(body);
+}
+
+function parseTimeParam(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  const ms = Number.isFinite(n) ? (n < 1e12 ? n * 1000 : n) : Date.parse(v);
+  return Number.isFinite(ms) ? ms : NaN;
+}
+
+/**
+ * /trades filters from the query string.
+ * side=BUY|SELL|ANCHOR|OPERATOR|RISK (comma list), from/to = ISO or unix s/ms, offset, limit (<= 1000), order=asc|desc
+ */
+function tradeQuery(params, paginate) {
+  const q = {
+    side: params.get("side") || null,
+    from: parseTimeParam(params.get("from")),
+    to: parseTimeParam(params.get("to")),
+    order: params.get("order") === "asc" ? "asc" : "desc",
+  };
+  if (Number.isNaN(q.from) || Number.isNaN(q.to)) return { error: "from/to must be ISO dates or unix timestamps" };
+  if (paginate) {
+    q.offset = Math.max(0, Number(params.get("offset")) || 0);
+    q.limit = Math.min(1000, Math.max(1, Number(params.get("limit")) || 50));
+  }
+  return { q };
+}
+
+function handleTrades(g, rest, params, res) {
+  const { q, error } = tradeQuery(params, !rest);
+  if (error) {
+    res.writeHead(400, { "Content-Type": "text/plain" });
+    res.end(error + "\n");
+    return;
+  }
+  const page = g.ledger.query(q);
+
+  if (rest === "export.csv") {
+    sendDownload(res, ledgerToCsv(page.items), "text/csv; charset=utf-8", `trades_${g.id}.csv`);
+    return;
+  }
+  if (rest === "export.json") {
+    sendDownload(res, JSON.stringify(page.items, null, 2), "application/json", `trades_${g.id}.json`);
+    return;
+  }
+
+  let next = null;
+  if (page.offset + page.items.length < page.total) {
+    const p = new URLSearchParams(params);
+    p.set("offset", String(page.offset + page.items.length));
+    p.set("limit", String(q.limit));
+    next = `/trades/${g.id}?${p}`;
+  }
+  sendJson(res, { gridId: g.id, ...page, next });
+}
+
+function readJsonBody(req, maxBytes = 16_384) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > maxBytes) {
+        reject(new Error("Body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (!body.trim()) return resolve({});
+      try {
+        const v = JSON.parse(body);
+        if (!v || typeof v !== "object" || Array.isArray(v)) throw new Error();
+        resolve(v);
+      } catch {
+        reject(new Error("Body must be a JSON object"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function tokenOk(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!m) return false;
+  // compare digests so the check takes the same time whatever the length
+  const digest = (v) => crypto.createHash("sha256").update(v).digest();
+  return crypto.timingSafeEqual(digest(m[1].trim()), digest(CONTROL_TOKEN));
+}
+
+function optNumber(body, key) {
+  if (body[key] == null || body[key] === "") return undefined;
+  const n = Number(body[key]);
+  if (!Number.isFinite(n)) throw new Error(`${key} must be a number`);
+  return n;
+}
+
+/**
+ * POST /control/:id/:action with an optional JSON body. Every action takes { note }.
+ *   pause | resume             stop / restart fills (prices keep polling)
+ *   reset                      back to START_USD / START_SOL, ladder re-inits on next price
+ *   rebuild    { anchor }      rebuild the ladder at anchor (default: current price)
+ *   buy        { usd }         market buy (default one order per SIZING_MODE), ignores packets/guard
+ *   sell       { posId }       market sell one lot (default: oldest)
+ *   close-all                  market sell every open lot
+ *   clear-halt                 leave HALTED after a risk rule tripped (rules re-arm from now)
+ */
+const CONTROL_ACTIONS = {
+  pause: (g, b) => g.pauseFills(b.note),
+  resume: (g, b) => g.resumeFills(b.note),
+  reset: (g, b) => g.resetAccount(b.note),
+  rebuild: (g, b) => g.rebuildLadder(optNumber(b, "anchor"), b.note),
+  buy: (g, b) => g.manualBuy(optNumber(b, "usd"), b.note),
+  sell: (g, b) => g.manualSell(optNumber(b, "posId"), b.note),
+  "close-all": (g, b) => g.closeAll(b.note),
+  "clear-halt": (g, b) => g.clearHalt(b.note),
+};
+
+async function handleControl(g, action, req, res) {
+  if (!CONTROL_TOKEN) {
+    sendJson(res, { ok: false, error: "Control API disabled: set CONTROL_TOKEN" }, 403);
+    return;
+  }
+  if (!tokenOk(req)) {
+    sendJson(res, { ok: false, error: "Unauthorized" }, 401);
+    return;
+  }
+  if (req.method !== "POST") {
+    sendJson(res, { ok: false, error: "Use POST" }, 405);
+    return;
+  }
+
+  try {
+    const body = await readJsonBody(req);
+    if (body.note != null) body.note = String(body.note).slice(0, 200);
+    const result = CONTROL_ACTIONS[action](g, body);
+    g.checkAlerts();
+    g.saveState();
+    g.publishUpdate();
+    sendJson(res, { ok: true, gridId: g.id, action, result });
+  } catch (e) {
+    g.log("OPERATOR_REJECTED", action, e?.message || e);
+    sendJson(res, { ok: false, gridId: g.id, action, error: e?.message || String(e) }, 400);
+  }
+}
+
+/**
+ * GET /events/:id — Server-Sent Events stream of one grid (see GridEngine LIVE EVENTS in lib/engine.js).
+ * Starts with a full `status`, then pushes changes; a comment line every
+ * SSE_HEARTBEAT_MS keeps proxies from closing an idle stream.
+ */
+function handleEvents(g, req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.write(`retry: ${UI_REFRESH_HINT_MS}\n\n`);
+  send("status", g.statusObj());
+
+  const unsubscribe = g.subscribe(send);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
 function startServer() {
+  const byId = (id) => grids.find((g) => g.id === decodeURIComponent(id));
+
   const server = http.createServer((req, res) => {
-    if (req.url === "/status") {
-      const s = statusObj();
-      res.writeHead(200, {
-        "Content-Type": "application/json",
-        "Cache-Control": "no-store",
-      });
-      res.end(JSON.stringify(s, null, 2));
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    let m;
+
+    if (pathname === "/status") {
+      sendJson(res, grids[0].statusObj());
       return;
     }
 
-    if (req.url === "/" || req.url.startsWith("/?")) {
-      res.writeHead(200, {
-        "Content-Type": "text/html; charset=utf-8",
-        "Cache-Control": "no-store",
-      });
-      res.end(html());
+    if ((m = pathname.match(/^\/status\/([^/]+)$/)) && byId(m[1])) {
+      sendJson(res, byId(m[1]).statusObj());
+      return;
+    }
+
+    // /trades, /trades/:id, /trades/:id/export.csv|export.json
+    if ((m = pathname.match(/^\/trades(?:\/([^/]+))?(?:\/(export\.csv|export\.json))?$/))) {
+      const g = m[1] ? byId(m[1]) : grids[0];
+      if (g) {
+        handleTrades(g, m[2] || null, searchParams, res);
+        return;
+      }
+    }
+
+    if ((m = pathname.match(/^\/control\/([^/]+)\/([a-z-]+)$/)) && byId(m[1]) && Object.hasOwn(CONTROL_ACTIONS, m[2])) {
+      handleControl(byId(m[1]), m[2], req, res).catch(() => {});
+      return;
+    }
+
+    if ((m = pathname.match(/^\/events(?:\/([^/]+))?$/))) {
+      const g = m[1] ? byId(m[1]) : grids[0];
+      if (g) {
+        handleEvents(g, req, res);
+        return;
+      }
+    }
+
+    if ((m = pathname.match(/^\/chart(?:\/([^/]+))?$/))) {
+      const g = m[1] ? byId(m[1]) : grids[0];
+      if (g) {
+        sendJson(res, g.chartObj());
+        return;
+      }
+    }
+
+    if ((m = pathname.match(/^\/equity(?:\/([^/]+))?$/))) {
+      const g = m[1] ? byId(m[1]) : grids[0];
+      if (g) {
+        sendJson(res, {
+          gridId: g.id,
+          sampleMs: g.cfg.EQUITY_SAMPLE_MS,
+          maxPoints: g.cfg.EQUITY_MAX_POINTS,
+          hodlRef: g.hodlRef,
+          performance: g.performance(),
+          samples: g.equitySeries(),
+        });
+        return;
+      }
+    }
+
+    if (pathname === "/metrics") {
+      res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE, "Cache-Control": "no-store" });
+      res.end(metricsText());
+      return;
+    }
+
+    if (pathname === "/overview") {
+      sendJson(res, overviewObj());
+      return;
+    }
+
+    if ((m = pathname.match(/^\/grid\/([^/]+)$/)) && byId(m[1])) {
+      sendHtml(res, html(byId(m[1])));
+      return;
+    }
+
+    if (pathname === "/") {
+      sendHtml(res, grids.length === 1 ? html(grids[0]) : overviewHtml());
       return;
     }
 
@@ -784,62 +1347,389 @@ function startServer() {
   server.listen(PORT, () => {
     console.log(iso(), `WEB listening on http://localhost:${PORT}`);
   });
+  return server;
 }
 
 // =====================
 // MAIN LOOP
 // =====================
-async function tick() {
-  try {
-    const { price, source } = await fetchSolPriceRobust();
-    nowPrice = price;
-    priceSource = source;
-    lastTickAt = Date.now();
-    lastPriceError = "";
+function schedule(g) {
+  clearInterval(g.timer);
+  g.timer = setInterval(() => g.tick().catch(() => {}), g.cfg.TICK_MS);
+}
+
+/**
+ * SIGTERM (Render restarts, deploys) / SIGINT: stop the tick loops, save every grid, give queued
+ * webhooks SHUTDOWN_DRAIN_MS, exit. A tick's fills and its save run without an await in between,
+ * so the save here never lands in the middle of one. A second signal exits right away.
+ */
+function onShutdown(server) {
+  let stopping = false;
+  const stop = async (signal) => {
+    if (stopping) process.exit(1);
+    stopping = true;
+    console.log(iso(), "SHUTDOWN", signal);
+    for (const g of grids) {
+      clearInterval(g.timer);
+      g.timer = null;
+      if (g.saveState()) g.log("STATE_SAVED", "on shutdown");
+    }
+    server.close();
+    await Promise.race([
+      Promise.all(grids.map((g) => g.notifier?.drain())),
+      sleep(SHUTDOWN_DRAIN_MS),
+    ]);
+    process.exit(0);
+  };
+  process.on("SIGTERM", () => stop("SIGTERM"));
+  process.on("SIGINT", () => stop("SIGINT"));
+}
+
+function configArg() {
+  const i = process.argv.indexOf("--config");
+  return i === -1 ? null : (process.argv[i + 1] || null);
+}
+
+function initGrids() {
+  const c = loadConfig({ file: configArg() });
+  configFile = c.file;
+  grids = c.grids.map((g) => new GridEngine({ ...g, clock: nowMs, configFile, controlEnabled: CONTROL_TOKEN !== "" }));
+  console.log(iso(), "CONFIG_LOADED", configFile || "(defaults + env)",
+    "grids=", grids.map((g) => `${g.id}:${g.asset}`).join(","));
+}
+
+function onConfigReload(r) {
+  if (!r.ok) {
+    for (const g of grids) g.lastReload = { at: nowMs(), ok: false, error: r.error };
+    console.log(iso(), "CONFIG_RELOAD_REJECTED", r.error);
+    return;
+  }
+
+  const next = new Map(r.config.grids.map((c) => [c.id, c]));
+  for (const g of grids) {
+    const c = next.get(g.id);
+    if (!c) continue;
+    g.applyConfigReload(c, () => g.timer && schedule(g));
+    g.publish("status", g.statusObj());
+  }
+
+  const running = grids.map((g) => g.id);
+  const added = [...next.keys()].filter((id) => !running.includes(id));
+  const removed = running.filter((id) => !next.has(id));
+  if (added.length || removed.length) {
+    console.log(iso(), "CONFIG_RELOADED", "grid list changed, needs restart:",
+      `added=[${added.join(", ")}]`, `removed=[${removed.join(", ")}]`);
+  }
+}
+
+// =====================
+// BACKTEST (REPLAY PRICE FILE)
+// =====================
+function parseTs(v) {
+  if (v == null || v === "") return NaN;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n; // unix s -> ms
+  return Date.parse(v);
+}
+
+function pick(row, keys) {
+  for (const k of keys) if (row[k] != null && row[k] !== "") return row[k];
+  return undefined;
+}
+
+/**
+ * Normalise one parsed row (CSV or JSONL) to { ts, price } or { ts, open, high, low, close }.
+ */
+function toBar(row) {
+  const ts = parseTs(pick(row, ["timestamp", "ts", "time", "date", "datetime", "open_time"]));
+  const o = Number(pick(row, ["open", "o"]));
+  const h = Number(pick(row, ["high", "h"]));
+  const l = Number(pick(row, ["low", "l"]));
+  const c = Number(pick(row, ["close", "c"]));
+  const p = Number(pick(row, ["price", "p", "value"]));
+
+  if (!Number.isFinite(ts)) return null;
+  if ([o, h, l, c].every((x) => Number.isFinite(x) && x > 0)) {
+    return { ts, open: o, high: h, low: l, close: c };
+  }
+  if (Number.isFinite(p) && p > 0) return { ts, price: p };
+  if (Number.isFinite(c) && c > 0) return { ts, price: c };
+  return null;
+}
+
+function loadPriceSeries(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const lines = raw.split(/\r?\n/).map((x) => x.trim()).filter(Boolean);
+  if (!lines.length) throw new Error(`Empty price file: ${file}`);
+
+  let rows;
+  if (lines[0].startsWith("{")) {
+    rows = lines.map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        throw new Error(`${file}:${i + 1} invalid JSON`);
+      }
+    });
+  } else {
+    const first = lines[0].split(",").map((x) => x.trim().toLowerCase());
+    const hasHeader = first.some((x) => !Number.isFinite(Number(x)) && Number.isNaN(Date.parse(x)));
+    // headerless: ts,price  or  ts,open,high,low,close
+    const header = hasHeader
+      ? first
+      : (first.length >= 5 ? ["ts", "open", "high", "low", "close"] : ["ts", "price"]);
+    rows = (hasHeader ? lines.slice(1) : lines).map((line) => {
+      const cells = line.split(",").map((x) => x.trim());
+      return Object.fromEntries(header.map((k, i) => [k, cells[i]]));
+    });
+  }
+
+  let skipped = 0;
+  const bars = [];
+  for (const row of rows) {
+    const bar = toBar(row);
+    if (bar) bars.push(bar);
+    else skipped++;
+  }
+  if (!bars.length) throw new Error(`No usable rows in ${file}`);
+  bars.sort((x, y) => x.ts - y.ts);
+  return { bars, skipped };
+}
 
-    // Init anchor + ladder once
-    if (!anchor) {
-      anchor = price;
-      const { buys, sells } = buildLadder(anchor);
-      ladderBuys = buys;
-      ladderSells = sells;
+function perfLines(p) {
+  return [
+    `Max drawdown:    ${pct(p.maxDrawdownPct)} ($${round(p.maxDrawdownUsd ?? 0, 2)})`,
+    `Annualized:      ${pct(p.annualizedReturn)} · Sharpe ${p.sharpe != null ? round(p.sharpe, 2) : "—"} · Sortino ${p.sortino != null ? round(p.sortino, 2) : "—"}`,
+    `Closed lots:     ${p.lotsClosed} (win rate ${pct(p.winRate)}, avg hold ${p.avgHoldMs != null ? (p.avgHoldMs / 3600_000).toFixed(1) + "h" : "—"})`,
+    p.hodl
+      ? `HODL benchmark:  $${round(p.hodl.value, 2)} (return ${pct(p.hodl.return)}, grid ${p.hodl.excessReturn >= 0 ? "beats" : "trails"} by ${pct(Math.abs(p.hodl.excessReturn))})`
+      : "HODL benchmark:  —",
+  ];
+}
+
+function slippageLabel(g) {
+  const c = g.cfg;
+  if (g.pool) return `AMM ${g.pool.type} price impact, pool ${g.pool.source}`;
+  if (c.SLIPPAGE_MODEL === "fixed") return `fixed ${(c.SIM_SLIPPAGE_PCT * 100).toFixed(3)}%`;
+  const parametric = `${c.SLIPPAGE_FIXED_BPS}bps + ${c.SLIPPAGE_IMPACT_BPS}bps/$1000`;
+  if (c.SLIPPAGE_MODEL === "parametric") return `parametric ${parametric}`;
+  return g.book ? `book ${g.book.source}, fallback ${parametric}` : `book: no order book, parametric ${parametric}`;
+}
 
-      // ✅ micro-seed runs once (if enabled) to create initial inventory
-      runMicroSeedOnce();
+function printBacktestReport(g, file, ticks, skipped) {
+  const first = ticks[0];
+  const last = ticks[ticks.length - 1];
+  const startValue = g.cfg.START_USD + g.cfg.START_SOL * first.price;
+  const pv = g.portfolioValueUsd();
+  const ret = startValue > 0 ? (pv - startValue) / startValue : null;
+
+  const lines = [
+    "",
+    `===== BACKTEST REPORT · ${g.id} (${g.asset}) =====`,
+    `File:            ${file}${skipped ? ` (${skipped} rows skipped)` : ""}`,
+    `Period:          ${new Date(first.ts).toISOString()} -> ${new Date(last.ts).toISOString()}`,
+    `Ticks:           ${ticks.length}`,
+    `Price:           first=${round(first.price, 4)} last=${round(last.price, 4)} anchor=${round(g.anchor, 4)}`,
+    `Config:          spacing=${g.ladderSpacing().label} levels=${g.cfg.LEVELS_EACH_SIDE} packets=${g.cfg.BUY_PACKETS}/${g.cfg.SELL_PACKETS} size=${g.orderSize(last.price).label}${g.cfg.SELL_FRACTION < 1 ? ` sellFraction=${g.cfg.SELL_FRACTION}` : ""} seed=$${g.cfg.MICRO_SEED_USD}`,
+    "",
+    `Trades:          ${g.stats.trades} (buys ${g.stats.buys} / sells ${g.stats.sells})`,
+    `Re-centers:      ${g.stats.recenters || 0}`,
+    `Risk halts:      ${g.stats.halts || 0}${g.halt ? ` (ended HALTED: ${g.halt.rule}, ${g.halt.reason})` : ""}`,
+    `Orders:          ${g.stats.ordersPlaced || 0} placed on the ${g.exchange.name} exchange, ${g.stats.partialFills || 0} partial fills, ${g.stats.ordersRejected || 0} rejected, ${g.stats.ordersCancelled || 0} cancelled`,
+    `Skipped sells:   ${g.stats.sellsSkipped || 0} (lots ${g.cfg.LOT_MATCHING}${g.cfg.MIN_PROFIT_PCT > 0 ? `, min profit ${(g.cfg.MIN_PROFIT_PCT * 100).toFixed(2)}%` : ""})`,
+    `Realized PnL:    $${round(g.stats.realizedPnlUsd, 2)} (net of fees)`,
+    `Fees paid:       $${round(g.stats.feesUsd || 0, 2)} (${g.pool ? `AMM fee tier ${g.pool.feeBps / 100}%` : `maker ${g.cfg.MAKER_FEE_PCT * 100}% + $${g.cfg.MAKER_FEE_USD}, taker ${g.cfg.TAKER_FEE_PCT * 100}% + $${g.cfg.TAKER_FEE_USD}`})`,
+    `Slippage:        $${round(g.stats.slippageUsd || 0, 2)} (${slippageLabel(g)})`,
+    `Open positions:  ${g.openCount()} (avg entry ${g.stats.avgEntry != null ? round(g.stats.avgEntry, 4) : "—"}, breakeven ${g.breakeven() != null ? round(g.breakeven(), 4) : "—"})`,
+    `Final balances:  usd=$${round(g.balances.usd, 2)} ${g.asset.toLowerCase()}=${round(g.balances.sol, 6)}`,
+    `Portfolio value: $${round(pv, 2)} (start $${round(startValue, 2)}, return ${ret != null ? (ret * 100).toFixed(2) + "%" : "—"})`,
+    ...perfLines(g.performance()),
+    "",
+    `Last ${g.trades.length} trades:`,
+    ...g.trades.map((t) =>
+      `  ${new Date(t.ts).toISOString()} ${t.side.padEnd(6)} ${round(t.price, 4)}` +
+      (t.side === "BUY" || t.side === "SELL" ? ` qty=${round(t.qtySol, 6)}` : "") +
+      (t.rung ? ` rung=${t.rung}` : "") +
+      (t.pnlUsd != null ? ` pnl=$${round(t.pnlUsd, 2)}` : "") +
+      (t.note ? ` [${t.note}]` : "")
+    ),
+  ];
+  console.log(lines.join("\n"));
+}
 
-      console.log(iso(), "INIT", "anchor=", round(anchor, 4), "src=", priceSource);
+function runBacktest(file) {
+  const only = gridArg();
+  const selected = only ? grids.filter((g) => g.id === only) : grids;
+  if (!selected.length) throw new Error(`Unknown grid: ${only} (have ${grids.map((g) => g.id).join(", ")})`);
+
+  const { bars, skipped } = loadPriceSeries(file);
+
+  for (const g of selected) {
+    const ticks = barsToTicks(bars, g.cfg.INTRABAR_ORDER);
+    g.store = null;
+    g.ledger = new Ledger(null);
+    // live books only describe the market now; a backtest walks ORDER_BOOK_FILE or falls back to parametric
+    if (g.cfg.SLIPPAGE_MODEL === "book" && g.cfg.ORDER_BOOK_SOURCE === "file") g.setBook(readOrderBookFile(g.cfg.ORDER_BOOK_FILE));
+    for (const t of ticks) {
+      simClockMs = t.ts;
+      g.onPrice(t.price, "BACKTEST");
     }
+    printBacktestReport(g, file, ticks, skipped);
+  }
+}
 
-    // normal fills
-    simulateFills();
+function backtestArg() {
+  const i = process.argv.indexOf("--backtest");
+  if (i === -1) return null;
+  const file = process.argv[i + 1];
+  if (!file) throw new Error("Usage: node runPaper.js --backtest <prices.csv|prices.jsonl> [--grid <id>]");
+  return file;
+}
 
-    saveState();
+// =====================
+// MONTE CARLO (lib/scenarios.js)
+// =====================
+const SCENARIO_FLAGS = {
+  paths: "--paths", days: "--days", stepMin: "--step-min", seed: "--seed", start: "--start",
+  drift: "--drift", vol: "--vol", jumpsPerDay: "--jumps-per-day", jumpMean: "--jump-mean",
+  jumpVol: "--jump-vol", revertPerDay: "--revert-per-day", regimeDays: "--regime-days",
+};
 
-    console.log(
-      iso(),
-      `NOW=${round(nowPrice, 2)} src=${priceSource} anchor=${anchor ? round(anchor, 2) : "—"} open=${openCount()}/${BUY_PACKETS} usd=${round(balances.usd, 2)} sol=${round(balances.sol, 4)}`
-    );
-  } catch (e) {
-    lastPriceError = (e?.message || String(e)).slice(0, 180);
-    console.log(iso(), "PRICE_FETCH_FAILED", lastPriceError);
-    saveState();
+function monteCarloArgs() {
+  const i = process.argv.indexOf("--montecarlo");
+  if (i === -1) return null;
+  const list = process.argv[i + 1] && !process.argv[i + 1].startsWith("--") ? process.argv[i + 1] : "all";
+  const models = list === "all" ? SCENARIO_MODELS : list.split(",").map((m) => m.trim());
+  for (const m of models) {
+    if (!SCENARIO_MODELS.includes(m)) throw new Error(`Unknown scenario model: ${m} (have ${SCENARIO_MODELS.join(", ")})`);
+  }
+
+  const params = {};
+  for (const [key, flag] of Object.entries(SCENARIO_FLAGS)) {
+    const j = process.argv.indexOf(flag);
+    if (j === -1) continue;
+    const v = Number(process.argv[j + 1]);
+    if (!Number.isFinite(v)) throw new Error(`${flag} needs a number, got ${JSON.stringify(process.argv[j + 1])}`);
+    params[key] = v;
+  }
+  const p = { ...SCENARIO_DEFAULTS, ...params };
+  if (!(Number.isInteger(p.paths) && p.paths > 0)) throw new Error("--paths must be a positive integer");
+  if (!(p.days > 0 && p.stepMin > 0 && p.start > 0 && p.vol >= 0 && p.regimeDays > 0)) {
+    throw new Error("--days, --step-min, --start and --regime-days must be > 0, --vol >= 0");
+  }
+  return { models, params };
+}
+
+function printMonteCarloReport(g, run) {
+  const { model, params: p, summary: s } = run;
+  const q = (d, f) => ["p5", "p25", "p50", "p75", "p95"].map((k) => `${k} ${f(d[k])}`).join("  ");
+  const pc = (x) => (x == null ? "—" : (x * 100).toFixed(2) + "%");
+  const usd = (x) => (x == null ? "—" : `$${round(x, 2)}`);
+  const share = (x) => `${Math.round(x * 100)}% of paths`;
+  const extra = {
+    gbm: "",
+    jump: ` jumps/day=${p.jumpsPerDay} jump=${pc(p.jumpMean)}±${pc(p.jumpVol)}`,
+    meanrevert: ` revert/day=${p.revertPerDay}`,
+    regime: ` regime≈${p.regimeDays}d`,
+  }[model];
+
+  const lines = [
+    "",
+    `===== MONTE CARLO · ${g.id} (${g.asset}) · ${model} =====`,
+    `Paths:           ${s.paths} × ${Math.round(p.days * 24 * 60 / p.stepMin)} steps of ${p.stepMin}m (${p.days} days), seed ${p.seed}`,
+    `Model:           start=${p.start} drift=${pc(p.drift)}/yr vol=${pc(p.vol)}/yr${extra}`,
+    `Config:          spacing=${g.ladderSpacing().label} levels=${g.cfg.LEVELS_EACH_SIDE} packets=${g.cfg.BUY_PACKETS}/${g.cfg.SELL_PACKETS} size=${g.orderSize(p.start).label}`,
+    "",
+    `Final price:     ${q(s.finalPrice, (x) => round(x, 4))}`,
+    `Return:          ${q(s.returnPct, pc)}  (mean ${pc(s.returnPct.mean)}, worst ${pc(s.returnPct.min)}, best ${pc(s.returnPct.max)})`,
+    `PnL:             ${q(s.pnlUsd, usd)}`,
+    `Max drawdown:    p50 ${pc(s.maxDrawdownPct.p50)}  p95 ${pc(s.maxDrawdownPct.p95)}  worst ${pc(s.maxDrawdownPct.max)}`,
+    `Trades:          p50 ${round(s.trades.p50, 1)} (min ${s.trades.min}, max ${s.trades.max})`,
+    `Guard blocking:  ${share(s.guardEverBlocked)} at some point, ${pc(s.guardBlockedPct)} of the time on average`,
+    `Ladder full:     ${share(s.endFull)} at the end (${share(s.everFull)} at some point)`,
+    `Risk halts:      ${share(s.halted)}`,
+    `Beats HODL:      ${share(s.beatsHodl)}`,
+  ];
+  console.log(lines.join("\n"));
+}
+
+function runMonteCarlo({ models, params }) {
+  const only = gridArg();
+  const c = loadConfig({ file: configArg() });
+  const selected = only ? c.grids.filter((g) => g.id === only) : c.grids;
+  if (!selected.length) throw new Error(`Unknown grid: ${only} (have ${c.grids.map((g) => g.id).join(", ")})`);
+
+  for (const entry of selected) {
+    const g = grids.find((x) => x.id === entry.id);
+    for (const model of models) printMonteCarloReport(g, monteCarlo(entry, model, params));
   }
 }
 
+/**
+ * --notify-test: send one test message through every grid's webhooks and exit
+ * (non-zero if any POST failed). Point NOTIFY_WEBHOOKS at a local server to try payloads.
+ */
+async function runNotifyTest() {
+  let failed = 0;
+  for (const g of grids) {
+    if (!g.cfg.NOTIFY_WEBHOOKS.length) {
+      g.log("NOTIFY_TEST skipped: NOTIFY_WEBHOOKS is empty");
+      continue;
+    }
+    const n = g.startNotifier().configure({ events: ["test"], digestMs: 0 });
+    n.notify("test", `[${g.id}] Test notification from the ${g.asset} paper grid`);
+    await n.drain();
+    g.log("NOTIFY_TEST", `sent=${n.stats.sent} failed=${n.stats.failed}` + (n.stats.lastError ? ` last=${n.stats.lastError}` : ""));
+    failed += n.stats.failed;
+  }
+  if (failed) throw new Error(`NOTIFY_TEST: ${failed} webhook(s) failed`);
+}
+
+function gridArg() {
+  const i = process.argv.indexOf("--grid");
+  return i === -1 ? null : (process.argv[i + 1] || null);
+}
+
 async function main() {
+  initGrids();
+
+  const backtestFile = backtestArg();
+  if (backtestFile) {
+    runBacktest(backtestFile);
+    return;
+  }
+  const mc = monteCarloArgs();
+  if (mc) {
+    runMonteCarlo(mc);
+    return;
+  }
+  if (process.argv.includes("--notify-test")) {
+    await runNotifyTest();
+    return;
+  }
+
   console.log("Paper bot started");
-  loadState();
-  startServer();
+  for (const g of grids) {
+    g.loadState();
+    g.startNotifier();
+  }
+  onShutdown(startServer());
 
-  // quick boot ticks so it initializes faster after Render wakes
-  await tick();
-  await sleep(1200);
-  await tick();
+  watchConfig(configFile, onConfigReload);
 
-  setInterval(() => tick().catch(() => {}), TICK_MS);
+  // quick boot ticks so it initializes faster after Render wakes
+  await Promise.all(grids.map(async (g) => {
+    await g.tick();
+    await sleep(1200);
+    await g.tick();
+    schedule(g);
+  }));
 }
 
-main().catch((e) => {
-  console.log(iso(), "FATAL", e?.message || e);
-  process.exit(1);
-});
+// only when run directly: importing this file (tests, scripts) must not start the bot
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  main().catch((e) => {
+    console.log(iso(), "FATAL", e?.message || e);
+    process.exit(1);
+  });
+}
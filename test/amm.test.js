@@ -0,0 +1,83 @@
+// AMM pool execution (lib/amm.js) and EXECUTION=amm fills in the engine.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { poolFromSnapshot, poolAt, poolTvl, swapQuote } from "../lib/amm.js";
+import { engine as baseEngine, feed, close } from "./helpers.js";
+
+const engine = (overrides = {}) => baseEngine({ LEVELS_EACH_SIDE: 3, EXECUTION: "amm", ...overrides });
+
+// 1000 SOL / 100,000 USD: L = 10,000 at price 100
+const CP = poolFromSnapshot({ type: "constant-product", baseReserve: 1000, quoteReserve: 100_000 }, "TEST", 30);
+
+test("constant-product: x * y = k swaps, impact grows with size", () => {
+  assert.equal(CP.L, 10_000);
+  assert.equal(CP.feeBps, 30);
+  close(poolTvl(CP, 100), 200_000);
+
+  // buy $1000: y 100k -> 101k, x = k / y, so 1000 / (1000 - 1e8 / 101e3) per SOL
+  const q = swapQuote(CP, "BUY", 100, 1000);
+  const out = 1000 - 1e8 / 101_000;
+  close(q.price, 1000 / out);
+  close(q.priceAfter, 101_000 ** 2 / 1e8);
+  close(q.impactPct, 0.01);
+  assert.ok(swapQuote(CP, "BUY", 100, 10_000).impactPct > 0.09);
+
+  // sell 10 SOL: x 1000 -> 1010
+  const s = swapQuote(CP, "SELL", 100, 1000);
+  close(s.price * 10, 100_000 - 1e8 / 1010);
+  assert.ok(s.price < 100 && s.priceAfter < s.price);
+});
+
+test("concentrated: deeper than constant-product for the same TVL, no fills outside the range", () => {
+  const derived = { type: "concentrated", source: "derived", feeBps: 4, tvlUsd: 200_000, rangePct: 0.1 };
+  const { L, lower, upper } = poolAt(derived, 100);
+  close(lower, 100 / 1.1);
+  close(upper, 110);
+  assert.ok(L > CP.L * 5);
+  close(poolTvl(derived, 100), 200_000, "tvl", 1e-6);
+  assert.ok(swapQuote(derived, "BUY", 100, 1000).impactPct < swapQuote(CP, "BUY", 100, 1000).impactPct / 5);
+
+  const fixed = poolFromSnapshot({ type: "concentrated", lowerPrice: 90, upperPrice: 110, tvlUsd: 200_000, price: 100 }, "TEST", 25);
+  assert.match(swapQuote(fixed, "BUY", 120, 100).error, /outside the pool range 90 - 110/);
+  assert.match(swapQuote(fixed, "BUY", 100, 1e9).error, /run past the pool range/);
+  assert.throws(() => poolFromSnapshot({ type: "concentrated", lowerPrice: 90, upperPrice: 110 }, "X", 25), /needs liquidity/);
+  assert.throws(() => poolFromSnapshot({ type: "stable" }, "X", 25), /type must be one of/);
+});
+
+test("engine: rung fills are swaps paying price impact and the LP fee tier", () => {
+  const g = engine({ AMM_LIQUIDITY_USD: 200_000, AMM_FEE_BPS: 30 });
+  feed(g, 100, 98.9);
+  const buy = g.trades.find((t) => t.side === "BUY");
+  const q = swapQuote(g.pool, "BUY", 99, 100);
+  close(buy.price, q.price);
+  assert.equal(buy.liquidity, "AMM");
+  close(buy.feeUsd, 100 * 0.003);
+  close(buy.slippagePct, q.impactPct);
+  close(buy.poolPrice, q.priceAfter);
+  assert.equal(buy.slippageModel, "amm constant-product");
+  close(g.stats.slippageUsd, buy.slippageUsd);
+  assert.equal(g.tickObj().amm.type, "constant-product");
+});
+
+test("engine: a concentrated pool out of range refuses fills until the price is back", () => {
+  const file = path.join(os.tmpdir(), `grid-amm-pool-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({ type: "concentrated", lowerPrice: 99.5, upperPrice: 120, liquidity: 50_000 }));
+  try {
+    const g = engine({ AMM_POOL_FILE: file });
+    feed(g, 100, 98.9);
+    assert.equal(g.openCount(), 0);
+    assert.match(g.poolError, /outside the pool range/);
+    assert.throws(() => g.manualBuy(50), /AMM pool: price outside/);
+    feed(g, 100);
+    g.manualBuy(50);
+    assert.equal(g.openCount(), 1);
+    assert.equal(g.poolError, "");
+  } finally {
+    fs.rmSync(file);
+  }
+});
@@ -0,0 +1,453 @@
+// GridEngine unit tests: fills, guard, micro-seed, state store, price provider.
+// Run: npm test   (node:test, no network, no files outside the OS temp dir)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { memoryStateStore } from "../lib/state.js";
+import { T0, engine, feed, close } from "./helpers.js";
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+test("ladder: percent rungs around the anchor, closest first", () => {
+  const { buys, sells } = engine().buildLadder(100);
+  assert.deepEqual(buys.map((r) => r.id), ["B1", "B2", "B3", "B4", "B5"]);
+  close(buys[0].price, 99);
+  close(buys[4].price, 95);
+  close(sells[0].price, 101);
+  close(sells[4].price, 105);
+  assert.ok(buys.every((r) => r.state === "WAIT" && r.fills === 0));
+});
+
+test("ladder: every rung records its step from the previous rung", () => {
+  const g = engine({ LADDER_SPACING: "geometric" });
+  const { buys, spacing } = g.buildLadder(100);
+  assert.equal(spacing.mode, "geometric");
+  close(buys[0].step, 1);
+  close(buys[0].stepPct, 0.01);
+  close(buys[1].step, 0.99);
+  close(buys[1].stepPct, 0.01);
+});
+
+test("arithmetic spacing: take-profit one USD sell step up, rebuy one USD buy step down", () => {
+  const cfg = { LADDER_SPACING: "arithmetic", BUY_STEP_USD: 2, SELL_STEP_USD: 1, LEVELS_EACH_SIDE: 3 };
+  const g = engine(cfg);
+  feed(g, 100, 97.9);
+  assert.deepEqual(g.ladderBuys.map((r) => r.price), [98, 96, 94]);
+  close(g.openPositions[0].targetPrice, 99);
+
+  // micro-seed lot sold by S1 arms a rebuy one buy step below the rung
+  const s = engine({ ...cfg, MICRO_SEED_USD: 50 });
+  feed(s, 100, 101.1);
+  assert.equal(s.ladderSells[0].state, "FILLED");
+  close(s.ladderSells[0].rebuyPrice, 99);
+});
+
+test("first price sets the anchor and builds the ladder without trading", () => {
+  const g = engine();
+  feed(g, 100);
+  assert.equal(g.anchor, 100);
+  assert.equal(g.ladderBuys.length, 5);
+  assert.equal(g.openCount(), 0);
+  assert.equal(g.stats.trades, 0);
+  assert.deepEqual(g.hodlRef, { price: 100, at: T0 + 60_000 });
+});
+
+test("buy fill: crossing a rung opens one lot paired to it", () => {
+  const g = engine();
+  feed(g, 100, 98.9);
+  assert.equal(g.openCount(), 1);
+  const [pos] = g.openPositions;
+  close(pos.entryPrice, 99);
+  close(pos.qtySol, 100 / 99);
+  close(pos.targetPrice, 99 * 1.01);
+  assert.equal(pos.rung, "B1");
+  assert.equal(g.ladderBuys[0].state, "FILLED");
+  assert.equal(g.ladderBuys[0].pairedPosId, pos.id);
+  close(g.balances.usd, 900);
+  close(g.stats.avgEntry, 99);
+
+  // same rung does not fill again while its lot is open
+  feed(g, 98.95, 98.9);
+  assert.equal(g.openCount(), 1);
+  assert.equal(g.ledger.query({ side: "BUY" }).total, 1);
+});
+
+test("a gap down fills every rung it crosses", () => {
+  const g = engine();
+  feed(g, 100, 96.5);
+  assert.deepEqual(g.openPositions.map((p) => p.rung), ["B1", "B2", "B3"]);
+  close(g.balances.usd, 700);
+  close(g.stats.avgEntry, 300 / (100 / 99 + 100 / 98 + 100 / 97));
+});
+
+test("paired take-profit sells the lot one sell step up and re-arms the buy rung", () => {
+  const g = engine();
+  feed(g, 100, 98.9, 100);
+  assert.equal(g.openCount(), 0);
+  assert.equal(g.ladderBuys[0].state, "WAIT");
+  assert.equal(g.stats.sells, 1);
+  const pnl = (100 / 99) * 99 * 1.01 - 100;
+  close(g.stats.realizedPnlUsd, pnl);
+  close(g.balances.usd, 1000 + pnl);
+  close(g.balances.sol, 0);
+
+  // the re-armed rung fills again on the next dip
+  feed(g, 98.9);
+  assert.equal(g.openCount(), 1);
+  assert.equal(g.ladderBuys[0].fills, 2);
+});
+
+test("fees: maker fee on rung fills is paid on top and counted in stats", () => {
+  const g = engine({ MAKER_FEE_PCT: 0.001 });
+  feed(g, 100, 98.9);
+  close(g.openPositions[0].feeUsd, 0.1);
+  close(g.balances.usd, 1000 - 100.1);
+  close(g.stats.feesUsd, 0.1);
+});
+
+test("guard: blocks the next buy once open lots reach SELL_PACKETS", () => {
+  const g = engine({ BUY_PACKETS: 2, SELL_PACKETS: 2 });
+  feed(g, 100);
+  assert.equal(g.guardBlocksBuyNext(), false);
+  feed(g, 94);
+  assert.equal(g.openCount(), 2);
+  assert.equal(g.guardBlocksBuyNext(), true);
+  assert.equal(g.statusObj().stats.guardBlocked, true);
+  assert.equal(g.ladderBuys.filter((r) => r.state === "FILLED").length, 2);
+  assert.equal(g.placeBuyAtPrice(93), false);
+  assert.equal(g.openCount(), 2);
+});
+
+test("guard: more sell packets than buy packets leaves room, the packet limit still caps buys", () => {
+  const g = engine({ BUY_PACKETS: 2, SELL_PACKETS: 4 });
+  feed(g, 100, 94);
+  assert.equal(g.openCount(), 2);
+  assert.equal(g.guardBlocksBuyNext(), false);
+  assert.equal(g.placeBuyAtPrice(93), false);
+  assert.ok(g.placeBuyAtPrice(93, { force: true }), "operator buys skip packets and guard");
+  assert.equal(g.openCount(), 3);
+});
+
+test("buys stop when cash runs out", () => {
+  const g = engine({ START_USD: 150, MICRO_SEED_USD: 0 });
+  feed(g, 100, 94);
+  assert.equal(g.openCount(), 1);
+  close(g.balances.usd, 50);
+});
+
+test("sizing: depth multiplier grows deeper rungs geometrically; size recorded on rung and trade", () => {
+  const g = engine({ SIZE_DEPTH_MULT: 1.5 });
+  feed(g, 100);
+  close(g.ladderBuys[2].size.usd, 225);
+  feed(g, 96.5);
+  assert.deepEqual(g.openPositions.map((p) => round2(p.costUsd)), [100, 150, 225]);
+  close(g.ladderBuys[1].size.usd, 150);
+  const t = g.ledger.query({ side: "BUY", order: "asc" }).items[1];
+  assert.equal(t.sizing, "fixed-usd $100 x1.5 (depth 2)");
+});
+
+test("sizing: fixed quantity and percent of equity", () => {
+  const qty = engine({ SIZING_MODE: "fixed-qty", ORDER_QTY: 0.5 });
+  feed(qty, 100, 97.9);
+  close(qty.openPositions[0].qtySol, 0.5);
+  close(qty.openPositions[1].qtySol, 0.5);
+
+  const eq = engine({ SIZING_MODE: "equity-pct", ORDER_EQUITY_PCT: 0.1 });
+  feed(eq, 100, 98.9);
+  close(eq.openPositions[0].costUsd, 100);
+  // second buy: 10% of equity marked at the current price
+  feed(eq, 97.9);
+  close(eq.openPositions[1].costUsd, 0.1 * (900 + (100 / 99) * 97.9));
+});
+
+test("sizing: MAX_POSITION_QTY trims the last buy and then stops buys", () => {
+  const g = engine({ MAX_POSITION_QTY: 2.5 });
+  feed(g, 100, 94);
+  assert.equal(g.openCount(), 3);
+  close(g.balances.sol, 2.5);
+  assert.match(g.ledger.query({ side: "BUY" }).items[0].sizing, /capped by MAX_POSITION_QTY/);
+  assert.ok(g.placeBuyAtPrice(93, { force: true }), "operator buys are not capped");
+});
+
+test("sizing: MAX_POSITION_QTY caps partial fills too; an order with no room left is done", () => {
+  const g = engine({ EXCHANGE: "mock", MOCK_FILL_RATIO: 0.5, MAX_POSITION_QTY: 1.5 });
+  feed(g, 100, 97.9, 97.9);           // B1 and B2 half filled, then B2's next fill trimmed to the cap
+  close(g.balances.sol, 1.5);
+  const b1 = g.orders.find((o) => o.rung === "B1");
+  assert.equal(b1.state, "PARTIALLY_FILLED");
+  feed(g, 97.9);                      // no room for B1's rest: done with what it has
+  assert.equal(b1.state, "FILLED");
+  assert.ok(!g.orders.includes(b1));
+  assert.deepEqual(g.ladderBuys.slice(0, 2).map((r) => r.state), ["FILLED", "FILLED"]);
+  assert.ok(g.openPositions.every((p) => p.targetPrice != null));
+  const buys = g.stats.buys;
+  feed(g, 97.9, 97.9);
+  assert.equal(g.stats.buys, buys);
+  close(g.balances.sol, 1.5);
+});
+
+test("sell fraction: a take-profit sells part of the lot, the rest waits one step higher", () => {
+  const g = engine({ SELL_FRACTION: 0.5 });
+  feed(g, 100, 98.9, 100);
+  assert.equal(g.openCount(), 1);
+  const [pos] = g.openPositions;
+  close(pos.qtySol, 50 / 99);
+  close(pos.costUsd, 50);
+  close(pos.targetPrice, 99 * 1.01 * 1.01);
+  assert.equal(g.ladderBuys[0].state, "FILLED", "rung re-arms only when the lot is closed");
+  const [sell] = g.ledger.query({ side: "SELL" }).items;
+  assert.equal(sell.sizing, "50.00% of lot");
+  assert.equal(sell.closedLots[0].partial, true);
+  close(sell.pnlUsd, (50 / 99) * 99 * 1.01 - 50);
+  assert.equal(g.stats.lotsClosed, 0);
+
+  // each further sell halves what is left until the remainder is under $1
+  for (let p = 101; g.openCount() && p < 110; p += 1) feed(g, p);
+  assert.equal(g.openCount(), 0);
+  assert.equal(g.ledger.query({ side: "SELL" }).items[0].sizing, "rest of lot");
+  assert.equal(g.ladderBuys[0].state, "WAIT");
+  assert.equal(g.stats.lotsClosed, 1);
+  close(g.balances.sol, 0);
+});
+
+test("sell fraction: a remainder under $1 closes with the lot, operator sells close in full", () => {
+  const g = engine({ SELL_FRACTION: 0.995 });
+  feed(g, 100, 98.9, 100);
+  assert.equal(g.openCount(), 0);
+
+  const h = engine({ SELL_FRACTION: 0.5 });
+  feed(h, 100, 98.9);
+  h.manualSell(null, "test");
+  assert.equal(h.openCount(), 0);
+});
+
+test("micro-seed: one taker buy at the first price when flat", () => {
+  const g = engine({ MICRO_SEED_USD: 50, TAKER_FEE_PCT: 0.002 });
+  feed(g, 100);
+  assert.equal(g.openCount(), 1);
+  const [pos] = g.openPositions;
+  assert.equal(pos.microSeed, true);
+  close(pos.entryPrice, 100);
+  close(pos.qtySol, 0.5);
+  close(pos.feeUsd, 0.1);
+  const [t] = g.ledger.query({ side: "BUY" }).items;
+  assert.equal(t.note, "MICRO_SEED");
+  assert.equal(t.liquidity, "TAKER");
+
+  // never again, even after the seed lot is sold
+  feed(g, 101.5, 100.5);
+  assert.equal(g.ledger.query({ side: "BUY" }).items.filter((x) => x.note === "MICRO_SEED").length, 1);
+});
+
+test("micro-seed: skipped when off, when holding inventory, or while buys are halted", () => {
+  const off = engine({ MICRO_SEED_USD: 0 });
+  feed(off, 100);
+  assert.equal(off.openCount(), 0);
+
+  const holding = engine({ MICRO_SEED_USD: 50, START_SOL: 1 });
+  feed(holding, 100);
+  assert.equal(holding.openCount(), 0);
+  assert.equal(holding.balances.sol, 1);
+
+  const halted = engine({ MICRO_SEED_USD: 50 });
+  halted.halt = { at: T0, rule: "trend-break", reason: "test", scope: "buys" };
+  feed(halted, 100);
+  assert.equal(halted.openCount(), 0);
+});
+
+test("micro-seed lot is sold by the first sell rung", () => {
+  const g = engine({ MICRO_SEED_USD: 50 });
+  feed(g, 100, 101.2);
+  assert.equal(g.openCount(), 0);
+  assert.equal(g.ladderSells[0].state, "FILLED");
+  const [sell] = g.ledger.query({ side: "SELL" }).items;
+  close(sell.pnlUsd, 0.5 * 101 - 50);
+});
+
+test("paused fills: prices are recorded but nothing trades", () => {
+  const g = engine();
+  feed(g, 100);
+  g.pauseFills("test");
+  feed(g, 95);
+  assert.equal(g.nowPrice, 95);
+  assert.equal(g.openCount(), 0);
+  g.resumeFills("test");
+  feed(g, 95);
+  assert.equal(g.openCount(), 5);
+});
+
+test("paused fills: risk rules still run and can halt", () => {
+  const g = engine({ STOP_LOSS_PCT: 0.05 });
+  feed(g, 100, 99);
+  assert.equal(g.openCount(), 1);
+  g.pauseFills("test");
+  feed(g, 90);
+  assert.equal(g.openCount(), 0);
+  assert.equal(g.halt.rule, "stop-loss");
+  assert.ok(g.trades.some((t) => t.side === "SELL" && /^STOP_LOSS/.test(t.note)));
+});
+
+test("state store: saved state loads into a fresh engine", () => {
+  const store = memoryStateStore();
+  const g = engine({}, { store });
+  feed(g, 100, 97.5);
+  g.saveState();
+  assert.equal(store.state.openPositions.length, 2);
+
+  const h = engine({}, { store });
+  h.loadState();
+  assert.equal(h.anchor, 100);
+  assert.deepEqual(h.openPositions, g.openPositions);
+  assert.deepEqual(h.ladderBuys, g.ladderBuys);
+  close(h.balances.usd, g.balances.usd);
+  assert.equal(h.nextId, g.nextId);
+});
+
+test("store null: saveState is a no-op", () => {
+  const g = engine({}, { store: null });
+  feed(g, 100);
+  g.saveState();
+  g.loadState();
+  assert.equal(g.anchor, 100);
+});
+
+test("tick: pulls from the price provider, failures are recorded, not thrown", async () => {
+  const quotes = [100, new Error("all sources down"), 98.9];
+  const g = engine({}, {
+    prices: {
+      async price() {
+        const q = quotes.shift();
+        if (q instanceof Error) throw q;
+        return { price: q, source: "FAKE" };
+      },
+    },
+  });
+  await g.tick();
+  assert.equal(g.anchor, 100);
+  assert.equal(g.priceSource, "FAKE");
+
+  await g.tick();
+  assert.equal(g.lastPriceError, "all sources down");
+  assert.equal(g.alerts.fetchFails, 1);
+
+  await g.tick();
+  assert.equal(g.lastPriceError, "");
+  assert.equal(g.openCount(), 1);
+  assert.equal(g.alerts.fetchFails, 0);
+});
+
+test("intrabar: a candle that opened before the last poll is not replayed again", async () => {
+  const candles = [
+    { ts: T0 + 60_000, open: 99.5, high: 100, low: 98.9, close: 100 },   // wick to 98.9
+    { ts: T0 + 120_000, open: 100, high: 100, low: 100, close: 100 },
+  ];
+  const quotes = [];
+  let t = T0;
+  const g = engine({ INTRABAR_FILLS: "binance" }, {
+    clock: () => t,
+    prices: {
+      async price() {
+        return { price: quotes.shift(), source: "FAKE" };
+      },
+      async klines(_, from, to) {   // minute candles overlapping [from, to], like the exchanges
+        return { source: "BINANCE", candles: candles.filter((c) => c.ts + 60_000 > from && c.ts <= to) };
+      },
+    },
+  });
+  const poll = async (sec, price) => {
+    t = T0 + sec * 1000;
+    quotes.push(price);
+    await g.tick();
+  };
+  await poll(10, 100);
+  await poll(70, 98.9);        // replay: B1 fills on the wick and sells at 100; the poll buys B1 again
+  await poll(100, 100);        // take-profit
+  const trades = g.stats.trades;
+  await poll(130, 100);        // the 00:01 candle opened before the last poll: skipped
+  assert.equal(g.stats.trades, trades);
+  assert.equal(g.intrabar.candles, 1);
+  assert.equal(g.openCount(), 0);
+});
+
+test("tick: an engine error is TICK_FAILED, not a price fetch failure", async () => {
+  const logs = [];
+  const g = engine({}, {
+    prices: { async price() { return { price: 100, source: "FAKE" }; } },
+    log: (...args) => logs.push(args.join(" ")),
+  });
+  g.onPrice = () => {
+    throw new Error("boom");
+  };
+  await g.tick();
+  assert.ok(logs.some((l) => l.includes("TICK_FAILED") && l.includes("boom")));
+  assert.ok(!logs.some((l) => l.includes("PRICE_FETCH_FAILED")));
+  assert.equal(g.lastPriceError, "");
+  assert.equal(g.alerts.fetchFails, 0);
+  assert.equal(g.ticking, false);
+});
+
+test("tick: a tick started while the last one is still fetching is skipped", async () => {
+  let calls = 0;
+  let release;
+  const g = engine({}, {
+    prices: {
+      async price() {
+        calls++;
+        await new Promise((r) => { release = r; });
+        return { price: 100, source: "FAKE" };
+      },
+    },
+  });
+  const first = g.tick();
+  await g.tick();
+  assert.equal(calls, 1);
+  release();
+  await first;
+  assert.equal(g.anchor, 100);
+  assert.equal(g.ticking, false);
+});
+
+test("clock: trades and status use the injected clock", () => {
+  const g = engine();
+  feed(g, 100, 98.9);
+  const [t] = g.ledger.query({ side: "BUY" }).items;
+  assert.equal(t.ts, T0 + 120_000);
+  assert.equal(g.openPositions[0].openedAt, T0 + 120_000);
+  assert.equal(g.statusObj().ts, T0 + 120_000);
+  assert.equal(g.atTime(T0, () => g.now()), T0);
+  assert.equal(g.now(), T0 + 120_000);
+});
+
+test("chartObj: recent prices, rungs, lots and fills within CHART_WINDOW_MS", () => {
+  const g = engine({ CHART_WINDOW_MS: 180_000, CHART_MAX_POINTS: 50 });
+  feed(g, 100, 98.9, 99.5, 99.2);
+  const c = g.chartObj();
+  assert.equal(c.from, T0 + 240_000 - 180_000);
+  assert.deepEqual(c.prices.map((p) => p.price), [100, 98.9, 99.5, 99.2]);
+  assert.equal(c.anchor, 100);
+  close(c.breakeven, g.breakeven());
+  assert.deepEqual(c.ladder.buys.map((r) => `${r.id}:${r.state}`).slice(0, 2), ["B1:FILLED", "B2:WAIT"]);
+  assert.equal(c.ladder.buys[1].order, "NEW");
+  assert.equal(c.lots.length, 1);
+  assert.deepEqual(c.fills.map((t) => `${t.side}@${t.price}`), ["BUY@99"]);
+
+  feed(g, 99.2, 99.2, 99.2);       // the fill at T0 + 120s leaves the window
+  assert.equal(g.chartObj().fills.length, 0);
+});
+
+test("statusObj: config, ladder, positions and stats in one object", () => {
+  const g = engine();
+  feed(g, 100, 98.9);
+  const s = g.statusObj();
+  assert.equal(s.gridId, "sol");
+  assert.equal(s.asset, "SOL");
+  assert.equal(s.nowPrice, 98.9);
+  assert.equal(s.ladder.buys.length, 5);
+  assert.equal(s.positions.length, 1);
+  assert.equal(s.stats.openPositions, 1);
+  assert.equal(s.stats.buyPackets, 6);
+  assert.equal(s.config.BUY_STEP_PCT, 0.01);
+  assert.equal(s.trades[0].side, "BUY");
+  close(s.stats.portfolioValueUsd, 900 + (100 / 99) * 98.9);
+});
@@ -0,0 +1,118 @@
+// Exchange adapters (lib/exchange.js) and the engine's limit-order lifecycle.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { PaperExchange, MockExchange, exchangeFor } from "../lib/exchange.js";
+import { engine as baseEngine, feed, close } from "./helpers.js";
+
+const engine = (overrides = {}) => baseEngine({ LEVELS_EACH_SIDE: 3, ...overrides });
+
+const rung = (g, id) => [...g.ladderBuys, ...g.ladderSells].find((r) => r.id === id);
+const order = (g, id) => g.orders.find((o) => o.id === rung(g, id).orderId);
+
+test("exchangeFor: paper unless EXCHANGE=mock", () => {
+  assert.ok(exchangeFor({ EXCHANGE: "paper" }) instanceof PaperExchange);
+  const m = exchangeFor({ EXCHANGE: "mock", MOCK_LATENCY_MS: 5, MOCK_FILL_RATIO: 0.5, MOCK_REJECT_PCT: 0, MOCK_MAX_OPEN_ORDERS: 0, MOCK_SEED: 1 });
+  assert.ok(m instanceof MockExchange);
+  assert.equal(m.submit({}, { now: 10, working: 0 }).liveAt, 15);
+});
+
+test("paper: every armed rung rests as a NEW order and fills in full when crossed", () => {
+  const g = engine();
+  feed(g, 100);
+  assert.equal(g.orders.length, 6);
+  assert.ok(g.orders.every((o) => o.state === "NEW"));
+  assert.deepEqual(g.orders.map((o) => `${o.kind}:${o.rung}`).slice(0, 2), ["RUNG:B1", "RUNG:B2"]);
+
+  const o = order(g, "B1");
+  feed(g, 98.9);
+  assert.equal(rung(g, "B1").state, "FILLED");
+  assert.equal(g.trades[0].orderId, o.id);
+  assert.deepEqual(g.orderEvents.filter((e) => e.orderId === o.id).map((e) => e.state), ["FILLED", "NEW"]);
+  // the lot's take-profit is the next resting order
+  const tp = g.orders.find((x) => x.kind === "TP");
+  assert.equal(tp.posId, rung(g, "B1").pairedPosId);
+  close(tp.price, 99 * 1.01);
+});
+
+test("mock latency: an order can't fill before it is live", () => {
+  const g = engine({ EXCHANGE: "mock", MOCK_LATENCY_MS: 90_000 });
+  feed(g, 100, 98.9);               // 60s after submit: B1 not live yet
+  assert.equal(rung(g, "B1").state, "WAIT");
+  assert.equal(g.openCount(), 0);
+  feed(g, 98.9);                    // 120s
+  assert.equal(rung(g, "B1").state, "FILLED");
+});
+
+test("mock partial fills: the rung's one lot grows until the order is FILLED", () => {
+  const g = engine({ EXCHANGE: "mock", MOCK_FILL_RATIO: 0.5 });
+  feed(g, 100, 98.9);
+  const o = order(g, "B1");
+  assert.equal(o.state, "PARTIALLY_FILLED");
+  close(o.filledUsd, 50);
+  assert.equal(rung(g, "B1").state, "WAIT");
+  assert.equal(g.openCount(), 1);
+
+  feed(g, 98.9, 98.9, 98.9, 98.9, 98.9, 98.9); // 25, 12.5, ... until the rest is under $1
+  assert.equal(rung(g, "B1").state, "FILLED");
+  assert.equal(g.openCount(), 1);
+  const lot = g.openPositions[0];
+  close(lot.costUsd, 100);
+  close(lot.entryPrice, 99);
+  assert.ok(g.stats.partialFills >= 5);
+  assert.ok(!g.orders.includes(o));
+});
+
+test("mock partial fills: a part-filled buy that is cancelled still pairs its lot", () => {
+  const g = engine({ EXCHANGE: "mock", MOCK_FILL_RATIO: 0.5 });
+  feed(g, 100, 98.9);
+  const o = order(g, "B1");
+  g.pauseFills("test");
+  feed(g, 98.9);
+  assert.equal(o.state, "CANCELLED");
+  const b1 = rung(g, "B1");
+  assert.equal(b1.state, "FILLED");
+  const lot = g.openPositions[0];
+  assert.equal(b1.pairedPosId, lot.id);
+  close(b1.size.usd, 50);
+  close(lot.targetPrice, 99 * 1.01);
+
+  g.resumeFills("test");
+  feed(g, 98.9);
+  assert.equal(g.openCount(), 1, "no second order for B1");
+  feed(g, 100, 100, 100, 100, 100, 100, 100);
+  assert.equal(g.openCount(), 0, "the take-profit sold the lot");
+  assert.equal(rung(g, "B1").state, "WAIT");
+});
+
+test("mock rejections: REJECTED orders are re-submitted on a later price; open order limit", () => {
+  const g = engine({ EXCHANGE: "mock", MOCK_REJECT_PCT: 0.5, MOCK_SEED: 7 });
+  feed(g, 100);
+  const rejected = g.orderEvents.filter((e) => e.state === "REJECTED");
+  assert.ok(rejected.length > 0 && rejected.length < 6, `${rejected.length} rejected`);
+  assert.equal(g.stats.ordersRejected, rejected.length);
+  for (let i = 0; i < 20 && g.orders.length < 6; i++) feed(g, 100);
+  assert.equal(g.orders.length, 6);
+
+  const h = engine({ EXCHANGE: "mock", MOCK_MAX_OPEN_ORDERS: 4 });
+  feed(h, 100);
+  assert.equal(h.orders.length, 4);
+  assert.match(h.orderEvents[0].reason, /open order limit 4/);
+});
+
+test("cancel: rebuilding the ladder and pausing cancel resting orders", () => {
+  const g = engine();
+  feed(g, 100);
+  const before = g.orders.map((o) => o.id);
+  g.rebuildLadder(105);
+  assert.ok(before.every((id) => !g.orders.some((o) => o.id === id)));
+  assert.equal(g.stats.ordersCancelled, 6);
+  feed(g, 105);
+  assert.equal(g.orders.length, 6);
+
+  g.pauseFills("test");
+  feed(g, 105);
+  assert.equal(g.orders.length, 0);
+  assert.equal(g.orderEvents[0].reason, "paused");
+});
@@ -0,0 +1,61 @@
+// Shared engine fixture for the tests: config through loadConfig, a pinned clock, in-memory state
+// and ledger. Imported by the *.test.js files; it has no tests of its own.
+
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { loadConfig } from "../lib/config.js";
+import { GridEngine } from "../lib/engine.js";
+import { Ledger } from "../lib/ledger.js";
+import { memoryStateStore } from "../lib/state.js";
+
+export const T0 = Date.parse("2026-01-01T00:00:00Z");
+
+// Config through loadConfig (validated, no env, no ./paper.config.*), no fees, no seed.
+export function config(overrides = {}) {
+  const file = path.join(os.tmpdir(), `grid-test-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    MICRO_SEED_USD: 0,
+    MAKER_FEE_PCT: 0,
+    TAKER_FEE_PCT: 0,
+    BUY_STEP_PCT: 0.01,
+    SELL_STEP_PCT: 0.01,
+    LEVELS_EACH_SIDE: 5,
+    ORDER_NOTIONAL_USD: 100,
+    ...overrides,
+  }));
+  try {
+    return loadConfig({ file, env: {} }).grids[0];
+  } finally {
+    fs.rmSync(file);
+  }
+}
+
+const clocks = new WeakMap(); // engine -> { t } its injected clock reads
+
+// Engine on config(overrides) at T0; opts go to the GridEngine constructor (prices, store, ...)
+export function engine(overrides = {}, opts = {}) {
+  const clock = { t: T0 };
+  const g = new GridEngine({
+    ...config(overrides),
+    clock: () => clock.t,
+    store: memoryStateStore(),
+    ledger: new Ledger(null),
+    log: () => {},
+    ...opts,
+  });
+  clocks.set(g, clock);
+  return g;
+}
+
+// Feed prices one minute apart
+export function feed(g, ...prices) {
+  for (const p of prices) {
+    clocks.get(g).t += 60_000;
+    g.onPrice(p, "TEST");
+  }
+}
+
+export const close = (a, b, msg, eps = 1e-9) => assert.ok(Math.abs(a - b) < eps, `${msg ?? ""} ${a} != ${b}`);
@@ -0,0 +1,46 @@
+// Trade ledger (lib/ledger.js): append-only JSONL, torn lines after a crash.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { Ledger } from "../lib/ledger.js";
+
+function tmpFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "grid-ledger-test-"));
+  return { dir, file: path.join(dir, "ledger.jsonl") };
+}
+
+test("append: one JSON line per record, seq carries on after a reload", () => {
+  const { dir, file } = tmpFile();
+  try {
+    const a = new Ledger(file);
+    a.append({ side: "BUY", ts: 1 });
+    a.append({ side: "SELL", ts: 2 });
+    const b = new Ledger(file);
+    assert.equal(b.append({ side: "BUY", ts: 3 }).seq, 3);
+    assert.deepEqual(new Ledger(file).load().map((t) => t.seq), [1, 2, 3]);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test("torn last line: skipped and logged, the next record starts on its own line", () => {
+  const { dir, file } = tmpFile();
+  try {
+    new Ledger(file).append({ side: "BUY", ts: 1 });
+    fs.appendFileSync(file, '{"seq":2,"side":"SE');   // crash mid-append
+    const logged = [];
+    const l = new Ledger(file, { log: (...args) => logged.push(args.join(" ")) });
+    assert.equal(l.load().length, 1);
+    assert.match(logged[0], /LEDGER_BAD_LINE .*ledger\.jsonl:2/);
+
+    l.append({ side: "SELL", ts: 2 });
+    const reloaded = new Ledger(file, { log: () => {} }).load();
+    assert.deepEqual(reloaded.map((t) => `${t.seq}:${t.side}`), ["1:BUY", "2:SELL"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,152 @@
+// Webhook notifications (lib/notify.js): payloads, retries, rate limit digests, drain.
+// Webhooks point at a local HTTP server on a free port.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+import { Notifier, webhookKind, webhookPayload } from "../lib/notify.js";
+
+// Webhook server answering with replies[i] ({ status, headers? }) for the i-th POST, then 200
+async function webhookServer(replies = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      received.push(JSON.parse(data));
+      const r = replies.shift() ?? { status: 200 };
+      res.writeHead(r.status, { "Content-Type": "application/json", ...r.headers });
+      res.end("{}");
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  return { url, received, close: () => new Promise((r) => server.close(r)) };
+}
+
+function notifier(url, opts = {}) {
+  const logs = [];
+  const n = new Notifier({ log: (...args) => logs.push(args.join(" ")) })
+    .configure({ webhooks: [url], events: ["fill", "halt"], digestMs: 0, ratePerMin: 20, retries: 3, backoffMs: 1, ...opts });
+  return { n, logs };
+}
+
+test("webhookPayload: body shape by webhook host", () => {
+  assert.equal(webhookKind("https://discord.com/api/webhooks/1/x"), "discord");
+  assert.deepEqual(webhookPayload("https://discord.com/api/webhooks/1/x", "hi"), { content: "hi" });
+  assert.deepEqual(webhookPayload("https://hooks.slack.com/services/x", "hi"), { text: "hi" });
+  assert.deepEqual(webhookPayload("https://api.telegram.org/botT/sendMessage?chat_id=42", "hi"),
+    { chat_id: "42", text: "hi", disable_web_page_preview: true });
+  assert.deepEqual(webhookPayload("http://127.0.0.1/hook", "hi", [{ event: "fill", text: "hi", ts: 5 }]),
+    { text: "hi", content: "hi", events: [{ event: "fill", ts: 5 }] });
+  assert.equal(webhookPayload("https://discord.com/api/webhooks/1/x", "x".repeat(3000)).content.length, 1900);
+});
+
+test("notify: enabled events are POSTed as the generic payload, others dropped", async () => {
+  const hook = await webhookServer();
+  try {
+    const { n } = notifier(hook.url);
+    n.notify("fill", "BUY B1 @ 99");
+    n.notify("recenter", "not enabled");
+    await n.drain();
+    assert.equal(hook.received.length, 1);
+    assert.equal(hook.received[0].text, "BUY B1 @ 99");
+    assert.equal(hook.received[0].content, "BUY B1 @ 99");
+    assert.equal(hook.received[0].events[0].event, "fill");
+    assert.equal(n.stats.queued, 1);
+    assert.equal(n.stats.sent, 1);
+  } finally {
+    await hook.close();
+  }
+});
+
+test("retries: 429 waits Retry-After instead of the backoff", async () => {
+  const hook = await webhookServer([{ status: 429, headers: { "Retry-After": "0" } }]);
+  try {
+    const { n } = notifier(hook.url, { backoffMs: 30_000 });
+    const t0 = Date.now();
+    n.notify("halt", "HALTED drawdown");
+    await n.drain();
+    assert.ok(Date.now() - t0 < 5_000, "retried after Retry-After: 0, not the 30s backoff");
+    assert.equal(hook.received.length, 2);
+    assert.deepEqual(hook.received[1], hook.received[0]);
+    assert.equal(n.stats.retried, 1);
+    assert.equal(n.stats.sent, 1);
+  } finally {
+    await hook.close();
+  }
+});
+
+test("retries: 5xx backs off and tries again", async () => {
+  const hook = await webhookServer([{ status: 503 }, { status: 502 }]);
+  try {
+    const { n } = notifier(hook.url);
+    n.notify("fill", "BUY B1 @ 99");
+    await n.drain();
+    assert.equal(hook.received.length, 3);
+    assert.equal(n.stats.retried, 2);
+    assert.equal(n.stats.sent, 1);
+    assert.equal(n.stats.failed, 0);
+  } finally {
+    await hook.close();
+  }
+});
+
+test("retries: a 4xx fails at once, running out of retries fails too; both logged by host", async () => {
+  const hook = await webhookServer([{ status: 400 }, { status: 500 }, { status: 500 }]);
+  try {
+    const { n, logs } = notifier(hook.url, { retries: 1 });
+    n.notify("fill", "one");
+    await n.drain();
+    n.notify("fill", "two");
+    await n.drain();
+    assert.equal(hook.received.length, 3);
+    assert.equal(n.stats.failed, 2);
+    assert.equal(n.stats.retried, 1);
+    assert.match(n.stats.lastError, /^127\.0\.0\.1:\d+ HTTP 500$/);
+    assert.equal(logs.length, 2);
+    assert.ok(logs.every((l) => l.startsWith("NOTIFY_FAILED") && !l.includes("/hook")));
+  } finally {
+    await hook.close();
+  }
+});
+
+test("rate limit: events over ratePerMin wait and go out as one digest", async () => {
+  const hook = await webhookServer();
+  try {
+    const { n } = notifier(hook.url, { ratePerMin: 1 });
+    n.notify("fill", "first");
+    n.notify("fill", "second");
+    n.notify("halt", "third");
+    await Promise.all([...n.inflight]);
+    assert.equal(hook.received.length, 1);
+    assert.equal(n.queue.length, 2);
+    assert.ok(n.timer, "digest scheduled for when the window reopens");
+
+    await n.drain();
+    assert.equal(hook.received.length, 2);
+    assert.equal(hook.received[1].text, "Digest: 2 events\n• second\n• third");
+    assert.deepEqual(hook.received[1].events.map((e) => e.event), ["fill", "halt"]);
+    assert.equal(n.timer, null);
+  } finally {
+    await hook.close();
+  }
+});
+
+test("drain: sends a pending digest at once and waits for delivery", async () => {
+  const hook = await webhookServer();
+  try {
+    const { n } = notifier(hook.url, { digestMs: 3_600_000 });
+    n.notify("fill", "a");
+    n.notify("fill", "b");
+    assert.equal(hook.received.length, 0);
+    await n.drain();
+    assert.equal(hook.received.length, 1);
+    assert.match(hook.received[0].text, /^Digest: 2 events/);
+    assert.equal(n.stats.sent, 1);
+    assert.equal(n.queue.length, 0);
+  } finally {
+    await hook.close();
+  }
+});
@@ -0,0 +1,65 @@
+// Synthetic scenarios and the Monte Carlo stress test (lib/scenarios.js).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SCENARIO_DEFAULTS, generatePath, monteCarlo, percentile, runPath } from "../lib/scenarios.js";
+import { config, close } from "./helpers.js";
+
+const grid = (overrides = {}) => config({ LEVELS_EACH_SIDE: 3, BUY_PACKETS: 3, SELL_PACKETS: 3, ...overrides });
+
+// fixed sequence standing in for the PRNG
+const fakeRandom = () => {
+  let i = 0;
+  return () => ((i++ * 0.618034) % 1) || 0.5;
+};
+
+test("generatePath: one price per step from the start price, every model", () => {
+  const p = { ...SCENARIO_DEFAULTS, days: 1, stepMin: 60 };
+  for (const model of ["gbm", "jump", "meanrevert", "regime"]) {
+    const prices = generatePath(model, p, fakeRandom());
+    assert.equal(prices.length, 25, model);
+    assert.equal(prices[0], 150);
+    assert.ok(prices.every((x) => Number.isFinite(x) && x > 0), model);
+  }
+  assert.throws(() => generatePath("sine", p, fakeRandom()), /Unknown scenario model: sine/);
+
+  // no vol, no drift: flat; strong mean reversion: stays near the start
+  for (const x of generatePath("gbm", { ...p, vol: 0 }, fakeRandom())) close(x, 150);
+  const mr = generatePath("meanrevert", { ...p, days: 30, revertPerDay: 5 }, fakeRandom());
+  assert.ok(mr.every((x) => x > 120 && x < 190));
+});
+
+test("percentile: linear between neighbours", () => {
+  assert.equal(percentile([1, 2, 3, 4, 5], 0.5), 3);
+  assert.equal(percentile([0, 10], 0.25), 2.5);
+  assert.equal(percentile([], 0.5), null);
+});
+
+test("runPath: a crash fills the ladder and blocks the guard, a rise doesn't", () => {
+  const down = Array.from({ length: 50 }, (_, i) => 100 * (1 - 0.004 * i));
+  const r = runPath(grid(), down, { stepMs: 60_000 });
+  assert.ok(r.endFull && r.everFull);
+  assert.ok(r.guardBlockedPct > 0);
+  assert.ok(r.maxDrawdownPct > 0 && r.returnPct < 0);
+  assert.equal(r.trades, 3);
+
+  const up = Array.from({ length: 50 }, (_, i) => 100 * (1 + 0.004 * i));
+  const u = runPath(grid({ RECENTER_DRIFT_PCT: 0 }), up, { stepMs: 60_000 });
+  assert.ok(!u.endFull && u.guardBlockedPct === 0);
+  assert.equal(u.returnPct, 0);
+});
+
+test("monteCarlo: seeded, and a path doesn't change with the number of paths", () => {
+  const g = grid();
+  const a = monteCarlo(g, "jump", { paths: 4, days: 2, seed: 7 });
+  const b = monteCarlo(g, "jump", { paths: 2, days: 2, seed: 7 });
+  assert.deepEqual(a.results.slice(0, 2), b.results);
+  assert.notDeepEqual(monteCarlo(g, "jump", { paths: 2, days: 2, seed: 8 }).results, b.results);
+
+  const s = a.summary;
+  assert.equal(s.paths, 4);
+  assert.ok(s.returnPct.p5 <= s.returnPct.p50 && s.returnPct.p50 <= s.returnPct.p95);
+  for (const k of ["guardEverBlocked", "endFull", "everFull", "halted", "beatsHodl"]) assert.ok(s[k] >= 0 && s[k] <= 1, k);
+  assert.throws(() => monteCarlo(g, "sine"), /Unknown scenario model/);
+});
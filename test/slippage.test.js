@@ -0,0 +1,78 @@
+// Slippage models (lib/slippage.js) and how the engine records them.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeBook, walkBook, parametricPct, slippageFor } from "../lib/slippage.js";
+import { T0, engine, feed, close } from "./helpers.js";
+
+// mid 100; asks 100.1 x 1, 100.5 x 2, 101 x 10; bids mirrored
+const BOOK = normalizeBook({
+  bids: [["99.5", "2"], ["99.9", "1"], ["99", "10"]],
+  asks: [[101, 10], [100.1, 1], [100.5, 2]],
+}, "TEST", T0);
+
+const CFG = {
+  SLIPPAGE_MODEL: "book", SIM_SLIPPAGE_PCT: 0.001, SLIPPAGE_FIXED_BPS: 2, SLIPPAGE_IMPACT_BPS: 1, ORDER_BOOK_MAX_AGE_MS: 300_000,
+};
+
+test("normalizeBook: sorts best first, refuses empty or crossed books", () => {
+  assert.deepEqual(BOOK.bids.map((l) => l[0]), [99.9, 99.5, 99]);
+  assert.deepEqual(BOOK.asks.map((l) => l[0]), [100.1, 100.5, 101]);
+  assert.throws(() => normalizeBook({ bids: [], asks: [[1, 1]] }, "X"), /needs bids and asks/);
+  assert.throws(() => normalizeBook({ bids: [[2, 1]], asks: [[1, 1]] }, "X"), /crossed/);
+});
+
+test("walkBook: volume-weighted price across levels, null when too thin", () => {
+  close(walkBook(BOOK.asks, 1).vwap, 100.1);
+  const w = walkBook(BOOK.asks, 2);
+  close(w.vwap, (100.1 + 100.5) / 2);
+  assert.equal(w.levels, 2);
+  assert.equal(walkBook(BOOK.asks, 14), null);
+});
+
+test("slippageFor: fixed, parametric, book and its fallbacks", () => {
+  assert.deepEqual(slippageFor({ ...CFG, SLIPPAGE_MODEL: "fixed" }, BOOK, "BUY", 100, 5000, T0), { model: "fixed", pct: 0.001 });
+  close(parametricPct(CFG, 2000), 4 / 10_000);
+  close(slippageFor({ ...CFG, SLIPPAGE_MODEL: "parametric" }, null, "SELL", 100, 2000, T0).pct, 4 / 10_000);
+
+  // $200 at 100 = 2 units: buys pay 100.3 avg vs mid 100, sells get 99.7
+  const buy = slippageFor(CFG, BOOK, "BUY", 100, 200, T0);
+  assert.equal(buy.model, "book");
+  close(buy.pct, 0.003);
+  close(slippageFor(CFG, BOOK, "SELL", 100, 200, T0).pct, 0.003);
+
+  assert.match(slippageFor(CFG, null, "BUY", 100, 200, T0).fallback, /no order book/);
+  assert.match(slippageFor(CFG, BOOK, "BUY", 100, 200, T0 + 400_000).fallback, /400s old/);
+  const thin = slippageFor(CFG, BOOK, "BUY", 100, 5000, T0);
+  assert.equal(thin.model, "parametric");
+  assert.match(thin.fallback, /too thin for \$5000/);
+  close(thin.pct, 7 / 10_000);
+});
+
+test("engine: fills carry their slippage and stats sum it", () => {
+  const g = engine({ SLIPPAGE_MODEL: "parametric", SLIPPAGE_FIXED_BPS: 10, SLIPPAGE_IMPACT_BPS: 0 });
+  feed(g, 100, 98.9);
+  const buy = g.trades.find((t) => t.side === "BUY");
+  close(buy.price, 99 * 1.001);
+  close(buy.slippageUsd, 99 * 0.001 * buy.qtySol);
+  assert.equal(buy.slippageModel, "parametric");
+
+  feed(g, 100.1);                   // B1's take-profit at 99.99
+  const sell = g.trades.find((t) => t.side === "SELL");
+  close(sell.price, 99.99 * 0.999);
+  close(g.stats.slippageUsd, buy.slippageUsd + sell.slippageUsd);
+});
+
+test("engine: book model walks the book it was given", () => {
+  const g = engine({ SLIPPAGE_MODEL: "book", ORDER_NOTIONAL_USD: 99 });
+  g.setBook({ ...BOOK, ts: null });
+  feed(g, 100, 98.9);               // $99 at 99 = 1 unit: the best ask, 0.1% over mid
+  const buy = g.trades.find((t) => t.side === "BUY");
+  close(buy.price, 99 * 1.001);
+  assert.equal(buy.slippageModel, "book");
+
+  g.setBook(null);
+  g.manualBuy(50);
+  assert.equal(g.trades.find((t) => t.note === "OP BUY").slippageModel, "parametric (no order book)");
+});
@@ -0,0 +1,87 @@
+// Ladder spacing modes (lib/spacing.js) and how the engine uses them.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { addPriceBar, barVolatility, spacingFor, rungPrice, stepFrom } from "../lib/spacing.js";
+import { close } from "./helpers.js";
+
+const cfg = {
+  LADDER_SPACING: "percent",
+  BUY_STEP_PCT: 0.01,
+  SELL_STEP_PCT: 0.005,
+  BUY_STEP_USD: 2,
+  SELL_STEP_USD: 1,
+  VOL_METHOD: "atr",
+  VOL_LOOKBACK_BARS: 10,
+  VOL_BUY_MULT: 2,
+  VOL_SELL_MULT: 1,
+  VOL_MIN_STEP_PCT: 0.001,
+  VOL_MAX_STEP_PCT: 0.05,
+};
+
+test("percent: linear steps of the anchor", () => {
+  const sp = spacingFor(cfg);
+  close(rungPrice(100, sp, "buy", 3), 97);
+  close(rungPrice(100, sp, "sell", 3), 101.5);
+  close(stepFrom(97, sp, "sell"), 97 * 1.005);
+});
+
+test("geometric: each rung a fixed percent from the previous one", () => {
+  const sp = spacingFor({ ...cfg, LADDER_SPACING: "geometric" });
+  close(rungPrice(100, sp, "buy", 2), 100 * 0.99 * 0.99);
+  close(rungPrice(100, sp, "sell", 2), 100 * 1.005 * 1.005);
+  close(rungPrice(100, sp, "buy", 3) / rungPrice(100, sp, "buy", 2), 0.99);
+});
+
+test("arithmetic: fixed USD steps, separately per side", () => {
+  const sp = spacingFor({ ...cfg, LADDER_SPACING: "arithmetic" });
+  assert.equal(sp.unit, "usd");
+  close(rungPrice(100, sp, "buy", 3), 94);
+  close(rungPrice(100, sp, "sell", 3), 103);
+  close(stepFrom(94, sp, "sell"), 95);
+  close(stepFrom(103, sp, "buy"), 101);
+});
+
+function bars(n, rangePct, barMs = 60_000) {
+  let b = [];
+  for (let i = 0; i < n; i++) {
+    b = addPriceBar(b, i * barMs, 100, barMs, 50);
+    b = addPriceBar(b, i * barMs + 1, 100 * (1 + rangePct), barMs, 50);
+    b = addPriceBar(b, i * barMs + 2, 100, barMs, 50);
+  }
+  return b;
+}
+
+test("price bars: one OHLC bar per bucket, capped", () => {
+  const b = bars(60, 0.01);
+  assert.equal(b.length, 50);
+  assert.deepEqual(b[0], { ts: 10 * 60_000, open: 100, high: 101, low: 100, close: 100 });
+});
+
+test("volatility: ATR sized steps with per-side multipliers, clamped", () => {
+  const sp = spacingFor({ ...cfg, LADDER_SPACING: "volatility" }, bars(20, 0.004));
+  assert.equal(sp.fallback, undefined);
+  assert.equal(sp.vol.method, "atr");
+  assert.equal(sp.vol.bars, 10);
+  close(sp.vol.value, 0.004);
+  close(sp.buyStep, 0.008);
+  close(sp.sellStep, 0.004);
+  assert.equal(sp.compound, true);
+
+  const wide = spacingFor({ ...cfg, LADDER_SPACING: "volatility", VOL_MAX_STEP_PCT: 0.006 }, bars(20, 0.004));
+  close(wide.buyStep, 0.006);
+});
+
+test("volatility: falls back to BUY/SELL_STEP_PCT without enough history", () => {
+  const sp = spacingFor({ ...cfg, LADDER_SPACING: "volatility" }, bars(3, 0.004));
+  assert.match(sp.fallback, /not enough history/);
+  assert.equal(sp.buyStep, 0.01);
+  assert.equal(sp.sellStep, 0.005);
+  assert.equal(barVolatility(bars(3, 0.004), "atr", 10), null);
+});
+
+test("stdev: flat closes have zero realized volatility", () => {
+  const v = barVolatility(bars(20, 0.004), "stdev", 10);
+  assert.equal(v.value, 0);
+});
@@ -0,0 +1,102 @@
+// State stores and schema (lib/state.js): atomic saves, backups, migrations, validation.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { fileStateStore, memoryStateStore, migrateState, validateState, backupFiles, STATE_SCHEMA_VERSION } from "../lib/state.js";
+import { engine } from "./helpers.js";
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "grid-state-test-"));
+}
+
+const good = () => ({
+  schemaVersion: STATE_SCHEMA_VERSION,
+  gridId: "sol",
+  asset: "SOL",
+  anchor: 100,
+  balances: { usd: 900, sol: 1 },
+  openPositions: [{ id: 1, entryPrice: 100, qtySol: 1, costUsd: 100 }],
+  ladderBuys: [{ id: "B1", price: 99, state: "WAIT", fills: 0, pairedPosId: null }],
+  ladderSells: [],
+  stats: { trades: 1, avgEntry: null },
+  nextId: 2,
+});
+
+test("file store: atomic save leaves no temp file, load round-trips", () => {
+  const dir = tmpDir();
+  const file = path.join(dir, "state.json");
+  const store = fileStateStore(file, { backups: 0 });
+  assert.equal(store.load(), null);
+  store.save(good());
+  assert.deepEqual(store.load(), good());
+  assert.deepEqual(fs.readdirSync(dir), ["state.json"]);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("file store: backs up on the first save, then every backupMs, keeping the newest N", () => {
+  const dir = tmpDir();
+  const file = path.join(dir, "state.json");
+  const clock = { t: 0 };
+  const store = fileStateStore(file, { backups: 2, backupMs: 1000, now: () => clock.t });
+  const save = (n) => store.save({ ...good(), nextId: n });
+
+  save(2);                      // nothing on disk yet to back up
+  assert.deepEqual(backupFiles(file), []);
+  fileStateStore(file, { backups: 2, backupMs: 1000, now: () => clock.t }).save({ ...good(), nextId: 3 });
+  assert.equal(JSON.parse(fs.readFileSync(`${file}.bak.1`, "utf8")).nextId, 2); // restart: previous file kept
+
+  save(4);                      // same run, within backupMs: no new backup
+  assert.deepEqual(backupFiles(file), [`${file}.bak.1`]);
+  clock.t = 1000;
+  save(5);
+  clock.t = 2000;
+  save(6);
+  assert.deepEqual(backupFiles(file), [`${file}.bak.1`, `${file}.bak.2`]);
+  assert.equal(JSON.parse(fs.readFileSync(`${file}.bak.1`, "utf8")).nextId, 5);
+  assert.equal(JSON.parse(fs.readFileSync(`${file}.bak.2`, "utf8")).nextId, 4);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("migrate: unversioned state gets rung ids, fill counts and a HODL start", () => {
+  const s = migrateState({ anchor: 100, anchorSetAt: 5, balances: { usd: 1000, sol: 0 }, ladderBuys: [{ price: 99, state: "FILLED" }] });
+  assert.equal(s.schemaVersion, STATE_SCHEMA_VERSION);
+  assert.deepEqual(s.ladderBuys[0], { id: "B1", price: 99, state: "FILLED", fills: 1, pairedPosId: null });
+  assert.deepEqual(s.hodlRef, { price: 100, at: 5 });
+  assert.throws(() => migrateState({ ...good(), schemaVersion: STATE_SCHEMA_VERSION + 1 }), /newer/);
+});
+
+test("validate: lists every problem, refuses another grid's file", () => {
+  assert.equal(validateState(good(), { gridId: "sol", asset: "SOL" }).nextId, 2);
+  const bad = { ...good(), gridId: "jup", balances: { usd: "900" }, nextId: 1, openPositions: [{ id: 1, entryPrice: 0, qtySol: 1, costUsd: 100 }] };
+  assert.throws(() => validateState(bad, { gridId: "sol" }), (e) => {
+    assert.match(e.message, /belongs to grid jup/);
+    assert.match(e.message, /balances must be/);
+    assert.match(e.message, /entryPrice 0/);
+    assert.match(e.message, /nextId 1 would reuse/);
+    return true;
+  });
+});
+
+test("engine: corrupt or invalid state stops loadState instead of starting fresh", () => {
+  const dir = tmpDir();
+  const file = path.join(dir, "state.json");
+  fs.writeFileSync(file, '{ "balances": { "usd": 10');
+  fs.writeFileSync(`${file}.bak.1`, JSON.stringify(good()));
+  assert.throws(() => engine({}, { store: fileStateStore(file) }).loadState(), (e) => {
+    assert.match(e.message, /not valid JSON/);
+    assert.ok(e.message.includes(`${file}.bak.1`), e.message);
+    return true;
+  });
+
+  assert.throws(() => engine({}, { store: memoryStateStore({ ...good(), balances: null }) }).loadState(), /balances must be/);
+
+  const g = engine({}, { store: memoryStateStore(good()) });
+  g.loadState();
+  assert.equal(g.balances.usd, 900);
+  assert.equal(g.stats.lotsClosed, 0); // fields missing from the saved stats keep their defaults
+  fs.rmSync(dir, { recursive: true });
+});